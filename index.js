@@ -3,6 +3,10 @@ const path = require('path');
 const fs = require('fs');
 const http = require('http');
 const https = require('https');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { fileURLToPath } = require('url');
 const compression = require('compression');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
@@ -10,148 +14,2203 @@ const rateLimit = require('express-rate-limit');
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-const config = { DATA_FILE: process.env.DATA_FILE || 'data.json' };
+const config = {
+    DATA_FILE: process.env.DATA_FILE || 'data.json',
+    ADMIN_TOKEN: process.env.ADMIN_TOKEN || '',
+    WATCH_INTERVAL: parseInt(process.env.WATCH_INTERVAL) || 2000,
+    PROGRESS_FILE: process.env.PROGRESS_FILE || 'progress.json',
+    PROFILES_FILE: process.env.PROFILES_FILE || 'profiles.json',
+    FAVORITES_FILE: process.env.FAVORITES_FILE || 'favorites.json',
+    MAX_PROFILES: parseInt(process.env.MAX_PROFILES) || 8,
+    // Un perfil infantil solo ve las series con alguno de estos géneros (sin distinguir mayúsculas ni tildes)
+    KIDS_GENRES: (process.env.KIDS_GENRES || 'infantil,kids,familia,family,children').split(','),
+    // Días que dura la sesión de un perfil en un navegador
+    SESSION_MAX_AGE: (parseInt(process.env.SESSION_MAX_AGE) || 365) * 24 * 3600,
+    // Con errores de validación se mantiene el catálogo anterior; true = publicar igualmente los registros válidos
+    CATALOG_PARTIAL: process.env.CATALOG_PARTIAL === 'true',
+    METADATA_DIR: process.env.METADATA_DIR || '',
+    // Raíz de la biblioteca local: las URLs file:// o relativas de los episodios deben quedar dentro
+    MEDIA_DIR: process.env.MEDIA_DIR || '',
+    // Hosts permitidos en el proxy (admite *.dominio.com); vacío = hosts presentes en el catálogo
+    PROXY_ALLOWLIST: (process.env.PROXY_ALLOWLIST || '').split(',').map(h => h.trim().toLowerCase()).filter(Boolean),
+    PROXY_ALLOW_PRIVATE: process.env.PROXY_ALLOW_PRIVATE === 'true',
+    PROXY_MAX_REDIRECTS: parseInt(process.env.PROXY_MAX_REDIRECTS) || 5,
+    // Por delante se pone el idioma de audio preferido del perfil, si lo tiene
+    PROXY_ACCEPT_LANGUAGE: process.env.PROXY_ACCEPT_LANGUAGE || 'es-ES,es;q=0.9,en;q=0.8',
+    // Sin STREAM_SECRET fijo los tokens dejan de valer al reiniciar
+    STREAM_SECRET: process.env.STREAM_SECRET || crypto.randomBytes(32).toString('hex'),
+    STREAM_TOKEN_TTL: (parseInt(process.env.STREAM_TOKEN_TTL) || 6 * 3600) * 1000,
+    ALLOW_RAW_URLS: process.env.ALLOW_RAW_URLS === 'true',
+    UPSTREAM_MAX_SOCKETS: parseInt(process.env.UPSTREAM_MAX_SOCKETS) || 16,
+    UPSTREAM_MAX_FREE_SOCKETS: parseInt(process.env.UPSTREAM_MAX_FREE_SOCKETS) || 4,
+    // Tras N fallos seguidos un host se da por caído durante UPSTREAM_COOLDOWN ms
+    UPSTREAM_FAIL_THRESHOLD: parseInt(process.env.UPSTREAM_FAIL_THRESHOLD) || 5,
+    UPSTREAM_COOLDOWN: parseInt(process.env.UPSTREAM_COOLDOWN) || 30000,
+    // Cuenta atrás del siguiente episodio en segundos (0 = sin autoplay) y autoplays seguidos antes de preguntar si sigue ahí (0 = nunca)
+    AUTOPLAY_COUNTDOWN: isNaN(parseInt(process.env.AUTOPLAY_COUNTDOWN)) ? 8 : parseInt(process.env.AUTOPLAY_COUNTDOWN),
+    STILL_WATCHING_AFTER: isNaN(parseInt(process.env.STILL_WATCHING_AFTER)) ? 3 : parseInt(process.env.STILL_WATCHING_AFTER),
+    // Caché en disco de los rangos de vídeo (vacío = desactivada); tamaño máximo en MB y bloques en KB
+    CACHE_DIR: process.env.CACHE_DIR || '',
+    CACHE_MAX_SIZE: (parseInt(process.env.CACHE_MAX_SIZE) || 2048) * 1024 * 1024,
+    CACHE_CHUNK: (parseInt(process.env.CACHE_CHUNK) || 1024) * 1024,
+    // Comprobación de enlaces muertos cada N horas (0 = solo a mano), peticiones simultáneas y reintentos ante fallos temporales
+    LINK_CHECK_INTERVAL: isNaN(parseFloat(process.env.LINK_CHECK_INTERVAL)) ? 12 : parseFloat(process.env.LINK_CHECK_INTERVAL),
+    LINK_CHECK_CONCURRENCY: parseInt(process.env.LINK_CHECK_CONCURRENCY) || 4,
+    LINK_CHECK_RETRIES: isNaN(parseInt(process.env.LINK_CHECK_RETRIES)) ? 2 : parseInt(process.env.LINK_CHECK_RETRIES),
+    LINK_HEALTH_FILE: process.env.LINK_HEALTH_FILE || 'link-health.json',
+    // Pósters de /img-proxy: carpeta de caché, tamaño máximo en MB y ancho en px (el alto sale de la proporción 2:3 de las tarjetas)
+    IMG_CACHE_DIR: process.env.IMG_CACHE_DIR || 'img-cache',
+    IMG_CACHE_MAX_SIZE: (parseInt(process.env.IMG_CACHE_MAX_SIZE) || 200) * 1024 * 1024,
+    IMG_WIDTH: parseInt(process.env.IMG_WIDTH) || 320,
+    TELEMETRY_FILE: process.env.TELEMETRY_FILE || 'telemetry.json'
+};
+// Fuentes en orden de precedencia: si un episodio aparece en varias, gana la primera
+config.SOURCES = process.env.SOURCES ? process.env.SOURCES.split(',').map(s => s.trim()).filter(Boolean) : [config.DATA_FILE];
+
+// ===== OPTIMIZACIÓN 1: Compresión SOLO para contenido que lo necesita =====
+app.use(compression({
+    filter: (req, res) => {
+        // NO comprimir streams de video/audio
+        if (req.path === '/video-proxy' || req.path === '/media') return false;
+        if (req.headers.accept && (
+            req.headers.accept.includes('video') || 
+            req.headers.accept.includes('audio')
+        )) return false;
+        return compression.filter(req, res);
+    },
+    level: 6
+}));
+
+app.use(helmet({
+    contentSecurityPolicy: {
+        directives: {
+            defaultSrc: ["'self'"],
+            styleSrc: ["'self'", "'unsafe-inline'"],
+            scriptSrc: ["'self'", "'unsafe-inline'"],
+            imgSrc: ["'self'", "data:", "https:", "http:"],
+            mediaSrc: ["'self'", "blob:", "data:", "https:", "http:", "*"],
+            connectSrc: ["'self'", "https:", "http:", "*"],
+            workerSrc: ["'self'", "blob:"]
+        }
+    },
+    crossOriginEmbedderPolicy: false,
+    crossOriginResourcePolicy: { policy: "cross-origin" }
+}));
+
+// ===== Métricas (formato Prometheus en /metrics) =====
+const METRICS = { requests: new Map(), latency: new Map(), streams: 0, upstreamBytes: new Map(), upstream: new Map(), rateLimited: 0, reloadErrors: 0 };
+const LATENCY_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+// La ruta es el patrón de Express (/api/series/:name), no la URL, para no crear una serie por cada valor.
+// En /video-proxy y /media la duración es la del stream completo
+function observeRequest(req, res, seconds) {
+    const route = req.route ? req.route.path : 'unmatched';
+    const key = req.method + ' ' + route;
+    const reqKey = key + ' ' + res.statusCode;
+    const count = METRICS.requests.get(reqKey) || { method: req.method, route, status: res.statusCode, count: 0 };
+    count.count++;
+    METRICS.requests.set(reqKey, count);
+    let h = METRICS.latency.get(key);
+    if (!h) METRICS.latency.set(key, h = { method: req.method, route, buckets: LATENCY_BUCKETS.map(() => 0), sum: 0, count: 0 });
+    LATENCY_BUCKETS.forEach((b, i) => { if (seconds <= b) h.buckets[i]++; });
+    h.sum += seconds;
+    h.count++;
+}
+
+// "close" también llega cuando el cliente corta un vídeo a medias, cosa que "finish" no cuenta
+app.use((req, res, next) => {
+    const started = process.hrtime.bigint();
+    res.once('close', () => observeRequest(req, res, Number(process.hrtime.bigint() - started) / 1e9));
+    next();
+});
+
+// Una etiqueta por host hasta UPSTREAM_MAX_HOSTS; a partir de ahí los hosts nuevos suman en "other" para acotar las series
+const hostLabel = (map, host) => (map.has(host) || map.size < UPSTREAM_MAX_HOSTS ? host : 'other');
+
+function countBytes(host, n) {
+    const label = hostLabel(METRICS.upstreamBytes, host);
+    METRICS.upstreamBytes.set(label, (METRICS.upstreamBytes.get(label) || 0) + n);
+}
+
+// Los contadores de Prometheus no pueden bajar: se llevan aparte de UPSTREAM_HEALTH, que olvida los hosts menos usados
+function countUpstream(host, ok, timeout) {
+    const label = hostLabel(METRICS.upstream, host);
+    const c = METRICS.upstream.get(label) || { requests: 0, errors: 0, timeouts: 0 };
+    c.requests++;
+    if (!ok) c.errors++;
+    if (timeout) c.timeouts++;
+    METRICS.upstream.set(label, c);
+}
+
+// Un stream cuenta desde que empieza a enviarse el cuerpo (del origen o de la caché) hasta que se cierra la respuesta
+function streamStarted(res) {
+    METRICS.streams++;
+    res.once('close', () => { METRICS.streams--; });
+}
+
+const videoProxyLimiter = rateLimit({ 
+    windowMs: 15 * 60 * 1000, 
+    max: 500, // Aumentado para streaming
+    // No limitar requests de range ni segmentos HLS; un segmento solo cuenta como tal si su token firmado es de manifiesto ({ u })
+    skip: (req) => Boolean(req.headers.range || (req.query.t && verifyToken(String(req.query.t)).u)),
+    handler: (req, res, next, options) => {
+        METRICS.rateLimited++;
+        res.status(options.statusCode).send(options.message);
+    }
+});
+
+let SERIES_LIST = [];
+// Sin prototipo: los nombres de serie vienen de la URL y "constructor" o "__proto__" no deben encontrar nada
+let SERIES_INDEX = Object.create(null);
+let TOTAL_EPISODES = 0;
+let SEARCH_INDEX = { docs: [], vocab: new Map(), summaries: new Map() };
+let GENRES = [];
+let CATALOG_HOSTS = new Set();
+let SERIES_POS = new Map(); // Posición de la última aparición en el catálogo, para ordenar por recientes sin fecha
+let SERIES_HOSTS = new Map(); // Hosts de cada serie; CATALOG_HOSTS es su unión
+let SOURCE_ITEMS = []; // Registros de cada archivo fuente en la última carga: { file, items }
+const CATALOG = { version: 0, loadedAt: null, error: null, report: null };
+
+const sourcePath = p => path.resolve(__dirname, p);
+
+// ===== Validación del catálogo =====
+const isNum = v => v !== '' && v !== null && !isNaN(Number(v));
+const posterOf = item => item.poster || item["logo serie"] || '';
+const validYear = v => isNum(v) && Number(v) >= 1888 && Number(v) <= 2100;
+const validRating = v => isNum(v) && Number(v) >= 0 && Number(v) <= 10;
+
+// Archivos locales: file:///ruta o una ruta relativa a MEDIA_DIR (sin esquema)
+const isLocalUrl = u => typeof u === 'string' && (/^file:/i.test(u) || !/^[a-z][a-z\d+.-]*:/i.test(u));
+
+// Ruta absoluta dentro de la biblioteca; null si no es local, no hay MEDIA_DIR o se sale de la carpeta
+function localPath(u) {
+    if (!config.MEDIA_DIR || !isLocalUrl(u)) return null;
+    let p = u;
+    if (/^file:/i.test(u)) {
+        try { p = fileURLToPath(u); } catch (e) { return null; }
+    }
+    const root = sourcePath(config.MEDIA_DIR);
+    const abs = path.resolve(root, p);
+    return abs.startsWith(root + path.sep) ? abs : null;
+}
+
+const validSourceUrl = u => !!(httpUrl(u) || localPath(u));
+
+const MEDIA_TYPES = {
+    '.mp4': 'video/mp4', '.m4v': 'video/mp4', '.mkv': 'video/x-matroska', '.webm': 'video/webm', '.mov': 'video/quicktime',
+    '.avi': 'video/x-msvideo', '.ts': 'video/mp2t', '.mpg': 'video/mpeg', '.mpeg': 'video/mpeg', '.mp3': 'audio/mpeg', '.m4a': 'audio/mp4'
+};
+const IMAGE_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp' };
+
+// Un póster dentro de la biblioteca se sirve por /media-img; las URLs se dejan tal cual
+function posterUrl(p) {
+    const file = p && !httpUrl(p) && localPath(p);
+    if (!file || !IMAGE_TYPES[path.extname(file).toLowerCase()]) return p;
+    return '/media-img?p=' + encodeURIComponent(path.relative(sourcePath(config.MEDIA_DIR), file));
+}
+
+// "1:23", "01:02:03" o segundos; null si no se entiende
+function parseTime(v) {
+    if (typeof v !== 'number' && typeof v !== 'string') return null;
+    if (isNum(v)) return Number(v) >= 0 ? Number(v) : null;
+    const m = String(v).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2}(?:\.\d+)?)$/);
+    return m ? Number(m[1] || 0) * 3600 + Number(m[2]) * 60 + Number(m[3]) : null;
+}
+
+// Marcas para saltar: intro como "0:30-1:45", [30, 105] o { start, end }; credits como el momento en que empiezan
+function markersOf(item) {
+    const out = {};
+    if (item.intro !== undefined && item.intro !== '') {
+        const v = item.intro;
+        const [start, end] = (Array.isArray(v) ? v : v && typeof v === 'object' ? [v.start, v.end] : String(v).split(/\s*-\s*/)).map(parseTime);
+        out.intro = start !== null && end !== null && end > start ? [start, end] : false;
+    }
+    if (item.credits !== undefined && item.credits !== '') {
+        const at = parseTime(item.credits);
+        out.credits = at ? at : false;
+    }
+    return out;
+}
+
+const SUB_LANGS = { es: 'Español', en: 'English', fr: 'Français', pt: 'Português', it: 'Italiano', de: 'Deutsch', ca: 'Català' };
+
+// Subtítulos: array de URLs o de { url, lang, label }, o texto separado por '|' (CSV); el idioma sale de "x.es.srt" si no se indica
+function subtitlesOf(item) {
+    const raw = Array.isArray(item.subtitles) ? item.subtitles : typeof item.subtitles === 'string' ? item.subtitles.split('|') : [];
+    return raw.map((sub, i) => {
+        const entry = sub && typeof sub === 'object' ? sub : { url: sub };
+        const url = typeof entry.url === 'string' ? entry.url.trim() : '';
+        const guess = url.match(/[._-]([a-z]{2,3})\.(?:srt|vtt)(?:$|\?)/i);
+        const lang = String(entry.lang || (guess ? guess[1] : '')).toLowerCase();
+        return { url, lang, label: entry.label ? String(entry.label) : SUB_LANGS[lang] || (lang ? lang.toUpperCase() : 'Subtítulos ' + (i + 1)) };
+    });
+}
+
+// Espejos de un episodio: array de URLs o de { url, label, priority }, o texto separado por '|' (CSV)
+function mirrorsOf(item) {
+    const raw = Array.isArray(item.mirrors) ? item.mirrors : typeof item.mirrors === 'string' ? item.mirrors.split('|') : [];
+    return raw.map((m, i) => {
+        const entry = m && typeof m === 'object' ? m : { url: m };
+        return { url: typeof entry.url === 'string' ? entry.url.trim() : '', label: entry.label ? String(entry.label) : '', priority: isNum(entry.priority) ? Number(entry.priority) : i + 1 };
+    });
+}
+
+// Metadatos opcionales de la serie: pueden venir en cualquier episodio, gana el primero con valor
+function mergeMeta(s, item) {
+    const genres = Array.isArray(item.genres) ? item.genres : String(item.genres || '').split(/[,|;\/]/);
+    genres.map(g => String(g).trim()).filter(Boolean).forEach(g => {
+        if (!s.genres.some(x => fold(x) === fold(g))) s.genres.push(g);
+    });
+    if (!s.year && validYear(item.year)) s.year = Number(item.year);
+    if (s.rating === null && item.rating !== '' && validRating(item.rating)) s.rating = Number(item.rating);
+    if (!s.description && item.description) s.description = String(item.description);
+    if (!s.backdrop && item.backdrop) s.backdrop = String(item.backdrop);
+    if (!s.language && item.language) s.language = String(item.language);
+    const added = Date.parse(item.added);
+    if (!isNaN(added) && added > (s.addedAt || 0)) s.addedAt = added;
+}
+
+// origins[i] indica de qué fuente viene cada registro (opcional, para el cruce entre fuentes)
+function validateCatalog(data, origins) {
+    const report = { ok: true, total: 0, valid: 0, errors: [], warnings: [], duplicates: [], overridden: [], emptyUrls: [], seriesWithoutPoster: [] };
+    if (!Array.isArray(data)) {
+        report.ok = false;
+        report.errors.push({ index: null, message: 'El catálogo debe ser un array' });
+        return report;
+    }
+
+    report.total = data.length;
+    const seen = Object.create(null), posters = Object.create(null);
+    let legacy = 0;
+    data.forEach((item, index) => {
+        if (!item || typeof item !== 'object' || Array.isArray(item)) {
+            report.errors.push({ index, message: 'El registro debe ser un objeto' });
+            return;
+        }
+        const ref = { index, series: item.series, season: item.season, ep: item.ep };
+        const errors = [];
+
+        if (item.series === undefined || item.series === '') report.warnings.push(Object.assign({}, ref, { message: 'Sin "series", se usará "Sin nombre"' }));
+        else if (typeof item.series !== 'string') errors.push('"series" debe ser texto');
+        if (item.season !== undefined && !isNum(item.season)) errors.push('"season" no es numérico');
+        if (item.ep === undefined) report.warnings.push(Object.assign({}, ref, { message: 'Sin "ep", se usará 1' }));
+        else if (!isNum(item.ep)) errors.push('"ep" no es numérico');
+        if (!item.title) report.warnings.push(Object.assign({}, ref, { message: 'Sin "title"' }));
+        if (item["logo serie"] !== undefined && item.poster === undefined) legacy++;
+        if (item.year !== undefined && item.year !== '' && !validYear(item.year)) report.warnings.push(Object.assign({}, ref, { message: '"year" fuera de rango, se ignora' }));
+        if (item.rating !== undefined && item.rating !== '' && !validRating(item.rating)) report.warnings.push(Object.assign({}, ref, { message: '"rating" debe estar entre 0 y 10, se ignora' }));
+        if (item.added !== undefined && item.added !== '' && isNaN(Date.parse(item.added))) report.warnings.push(Object.assign({}, ref, { message: '"added" no es una fecha, se ignora' }));
+
+        if (!item.url) {
+            report.emptyUrls.push(ref);
+            errors.push('"url" vacía');
+        } else if (typeof item.url !== 'string') {
+            errors.push('"url" debe ser texto');
+        } else if (isLocalUrl(item.url)) {
+            const file = localPath(item.url);
+            if (!config.MEDIA_DIR) errors.push('"url" local sin MEDIA_DIR configurado');
+            else if (!file) errors.push('"url" local fuera de MEDIA_DIR');
+            else if (!fs.existsSync(file)) report.warnings.push(Object.assign({}, ref, { message: 'Archivo local no encontrado: ' + item.url }));
+        } else {
+            try {
+                if (!['http:', 'https:'].includes(new URL(item.url).protocol)) errors.push('"url" debe ser http(s)');
+            } catch (e) { errors.push('"url" inválida'); }
+        }
+        if (item.mirrors !== undefined && !Array.isArray(item.mirrors) && typeof item.mirrors !== 'string') errors.push('"mirrors" debe ser una lista');
+        else mirrorsOf(item).forEach((m, i) => {
+            if (!validSourceUrl(m.url)) report.warnings.push(Object.assign({}, ref, { message: 'Espejo ' + (i + 1) + ' sin URL válida, se ignora' }));
+        });
+        const markers = markersOf(item);
+        if (markers.intro === false) report.warnings.push(Object.assign({}, ref, { message: '"intro" no es un intervalo de tiempo válido, se ignora' }));
+        if (markers.credits === false) report.warnings.push(Object.assign({}, ref, { message: '"credits" no es un tiempo válido, se ignora' }));
+        if (item.subtitles !== undefined && !Array.isArray(item.subtitles) && typeof item.subtitles !== 'string') errors.push('"subtitles" debe ser una lista');
+        else subtitlesOf(item).forEach((sub, i) => {
+            if (!validSourceUrl(sub.url)) report.warnings.push(Object.assign({}, ref, { message: 'Subtítulo ' + (i + 1) + ' sin URL válida, se ignora' }));
+        });
+
+        errors.forEach(message => report.errors.push(Object.assign({}, ref, { message })));
+        if (errors.length) return;
+        report.valid++;
+
+        const name = item.series || 'Sin nombre';
+        const key = name + '|' + Number(item.season || 1) + '|' + Number(item.ep || 1);
+        const origin = origins ? origins[index] : 0;
+        if (seen[key] === undefined) seen[key] = index;
+        else if ((origins ? origins[seen[key]] : 0) !== origin) report.overridden.push(Object.assign({}, ref, { firstIndex: seen[key] }));
+        else report.duplicates.push(Object.assign({}, ref, { firstIndex: seen[key] }));
+        posters[name] = posters[name] || !!posterOf(item);
+    });
+
+    if (legacy) report.warnings.push({ index: null, message: legacy + ' registros usan la clave obsoleta "logo serie", usar "poster"' });
+    report.seriesWithoutPoster = Object.keys(posters).filter(n => !posters[n]).sort();
+    report.ok = report.errors.length === 0;
+    return report;
+}
+
+// ===== Fuentes del catálogo: JSON, CSV, M3U y carpetas =====
+const CSV_COLUMNS = {
+    series: ['series', 'serie'],
+    season: ['season', 'temporada'],
+    ep: ['ep', 'episode', 'episodio'],
+    title: ['title', 'titulo', 'título'],
+    url: ['url'],
+    mirrors: ['mirrors', 'espejos'],
+    subtitles: ['subtitles', 'subtitulos', 'subtítulos', 'subs'],
+    intro: ['intro'],
+    credits: ['credits', 'creditos', 'créditos'],
+    poster: ['poster', 'logo', 'logo serie'],
+    genres: ['genres', 'genre', 'generos', 'géneros', 'genero', 'género'],
+    year: ['year', 'año', 'ano'],
+    description: ['description', 'descripcion', 'descripción', 'sinopsis'],
+    rating: ['rating', 'nota', 'puntuacion', 'puntuación'],
+    backdrop: ['backdrop', 'fondo'],
+    language: ['language', 'idioma'],
+    added: ['added', 'fecha']
+};
+
+function parseJsonSource(text) {
+    const data = JSON.parse(text);
+    if (!Array.isArray(data)) throw new Error('El catálogo debe ser un array');
+    return data;
+}
+
+// CSV con cabecera; acepta comillas, saltos de línea dentro de comillas y ';' como separador (Excel en español)
+function parseCsvSource(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    const delim = (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+    const rows = [];
+    let row = [], field = '', quoted = false;
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c !== '"') field += c;
+            else if (text[i + 1] === '"') { field += '"'; i++; }
+            else quoted = false;
+        } else if (c === '"') quoted = true;
+        else if (c === delim) { row.push(field); field = ''; }
+        else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field); rows.push(row);
+            row = []; field = '';
+        } else field += c;
+    }
+    if (field || row.length) { row.push(field); rows.push(row); }
+
+    const data = rows.filter(r => r.some(f => f.trim()));
+    if (!data.length) return [];
+    const header = data[0].map(h => h.trim().toLowerCase());
+    const cols = {};
+    Object.keys(CSV_COLUMNS).forEach(k => { cols[k] = header.findIndex(h => CSV_COLUMNS[k].includes(h)); });
+    if (cols.url < 0) throw new Error('CSV sin columna "url"');
+
+    return data.slice(1).map(r => {
+        const item = {};
+        Object.keys(cols).forEach(k => {
+            const v = cols[k] >= 0 ? (r[cols[k]] || '').trim() : '';
+            if (v) item[k] = v;
+        });
+        return item;
+    });
+}
+
+// Listas M3U estilo IPTV: group-title es la serie, tvg-logo el póster y SxxEyy / 1x02 en el título
+function parseM3uSource(text) {
+    const items = [], counters = {};
+    let info = null, group = '';
+    text.split(/\r?\n/).forEach(raw => {
+        const line = raw.trim();
+        if (!line) return;
+        if (line.startsWith('#EXTINF:')) {
+            let quoted = false, comma = -1;
+            for (let i = 8; i < line.length && comma < 0; i++) {
+                if (line[i] === '"') quoted = !quoted;
+                else if (line[i] === ',' && !quoted) comma = i;
+            }
+            const attrs = {};
+            const head = comma < 0 ? line : line.slice(0, comma);
+            head.replace(/([\w-]+)="([^"]*)"/g, (m, k, v) => { attrs[k.toLowerCase()] = v.trim(); });
+            info = { attrs, title: comma < 0 ? '' : line.slice(comma + 1).trim() };
+            return;
+        }
+        if (line.startsWith('#EXTGRP:')) { group = line.slice(8).trim(); return; }
+        if (line.startsWith('#') || !info) return;
+
+        const series = info.attrs['group-title'] || group || info.attrs['tvg-name'] || info.title;
+        const m = info.title.match(/S(\d{1,3})\s*E(\d{1,4})/i) || info.title.match(/\b(\d{1,2})x(\d{1,4})\b/);
+        let season = 1, ep;
+        if (m) { season = Number(m[1]); ep = Number(m[2]); }
+        else { counters[series] = (counters[series] || 0) + 1; ep = counters[series]; }
+
+        items.push({ series, season, ep, title: info.title, url: line, poster: info.attrs['tvg-logo'] || '', genres: info.attrs['tvg-genre'], language: info.attrs['tvg-language'] });
+        info = null;
+        group = '';
+    });
+    return items;
+}
+
+const SOURCE_PARSERS = { '.json': parseJsonSource, '.csv': parseCsvSource, '.m3u': parseM3uSource, '.m3u8': parseM3uSource };
+
+function readSource(file) {
+    const parser = SOURCE_PARSERS[path.extname(file).toLowerCase()];
+    if (!parser) throw new Error('Formato no soportado: ' + file);
+    return parser(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+}
+
+// Expande las carpetas a sus archivos soportados (orden alfabético = precedencia dentro de la carpeta)
+function sourceFiles() {
+    const files = [];
+    config.SOURCES.forEach(src => {
+        const p = sourcePath(src);
+        if (!fs.existsSync(p)) throw new Error('No existe ' + src);
+        if (!fs.statSync(p).isDirectory()) return files.push(p);
+        fs.readdirSync(p).filter(f => SOURCE_PARSERS[path.extname(f).toLowerCase()]).sort().forEach(f => files.push(path.join(p, f)));
+    });
+    return files;
+}
+
+// Agrupa en series los registros que pasan la validación. indices[i] es la posición del registro en el catálogo completo
+// (por defecto i); los hosts se guardan por serie para poder rehacer CATALOG_HOSTS al editar solo una
+function buildSeries(data, origins, report, indices) {
+    // Los registros con errores o tapados por una fuente con más precedencia se descartan
+    const rejected = new Set(report.errors.map(e => e.index));
+    const skipped = new Set(report.overridden.map(e => e.index));
+    const map = Object.create(null), positions = new Map(), hosts = new Map();
+    data.forEach((item, i) => {
+        if (rejected.has(i) || skipped.has(i)) return;
+        const name = item.series || 'Sin nombre';
+        const season = String(Number(item.season || 1));
+        const ep = Number(item.ep) || 1;
+        if (!map[name]) {
+            map[name] = { name, poster: '', genres: [], year: null, description: '', rating: null, backdrop: '', language: '', addedAt: null, seasons: {}, count: 0 };
+            hosts.set(name, new Set());
+        }
+        const own = hosts.get(name);
+        if (!map[name].poster) map[name].poster = posterUrl(posterOf(item));
+        if (httpUrl(map[name].poster)) own.add(new URL(map[name].poster).hostname.toLowerCase());
+        mergeMeta(map[name], item);
+        positions.set(name, indices ? indices[i] : i);
+        const mirrors = mirrorsOf(item).filter(m => validSourceUrl(m.url) && m.url !== item.url).sort((a, b) => a.priority - b.priority);
+        [item.url].concat(mirrors.map(m => m.url)).filter(u => !isLocalUrl(u)).forEach(u => own.add(new URL(u).hostname.toLowerCase()));
+        if (!map[name].seasons[season]) map[name].seasons[season] = [];
+        const episode = { ep, title: item.title || 'Episodio ' + ep, url: item.url };
+        if (mirrors.length) episode.mirrors = mirrors.map(m => ({ url: m.url, label: m.label }));
+        const subtitles = subtitlesOf(item).filter(sub => validSourceUrl(sub.url));
+        subtitles.filter(sub => !isLocalUrl(sub.url)).forEach(sub => own.add(new URL(sub.url).hostname.toLowerCase()));
+        if (subtitles.length) episode.subtitles = subtitles;
+        const markers = markersOf(item);
+        if (markers.intro) episode.intro = markers.intro;
+        if (markers.credits) episode.credits = markers.credits;
+        map[name].seasons[season].push(episode);
+        map[name].count++;
+    });
+
+    Object.values(map).forEach(s => Object.keys(s.seasons).forEach(k => s.seasons[k].sort((a, b) => a.ep - b.ep)));
+    return { map, positions, hosts };
+}
+
+// Rehace lo que se deriva de SERIES_INDEX (listado, búsqueda, géneros, hosts y totales) y sube la versión
+function publishIndex() {
+    const list = Object.values(SERIES_INDEX).map(s => ({
+        name: s.name, poster: s.poster, seasons: Object.keys(s.seasons).length, count: s.count,
+        genres: s.genres, year: s.year, rating: s.rating, language: s.language, addedAt: s.addedAt
+    })).sort((a, b) => a.name.localeCompare(b.name));
+
+    const genreCount = {};
+    list.forEach(s => s.genres.forEach(g => { genreCount[g] = (genreCount[g] || 0) + 1; }));
+
+    SEARCH_INDEX = buildSearchIndex(SERIES_INDEX, list);
+    SERIES_LIST = list;
+    GENRES = Object.keys(genreCount).map(name => ({ name, count: genreCount[name] })).sort((a, b) => b.count - a.count || a.name.localeCompare(b.name));
+    CATALOG_HOSTS = new Set([...SERIES_HOSTS.values()].flatMap(h => [...h]));
+    TOTAL_EPISODES = list.reduce((n, s) => n + s.count, 0);
+    CATALOG.version++;
+    CATALOG.loadedAt = new Date().toISOString();
+    CATALOG.error = null;
+    // En diferido: en la carga inicial la caché de pósters todavía no está definida ni leída del disco
+    setImmediate(pruneImgCache);
+}
+
+// Construye el índice completo antes de publicarlo: si algo falla, el anterior sigue activo
+function loadData() {
+    try {
+        const files = sourceFiles();
+        const read = files.map(file => {
+            try { return { file, items: readSource(file) }; } catch (e) { throw new Error(path.relative(__dirname, file) + ': ' + e.message); }
+        });
+        const data = [], origins = [];
+        read.forEach((src, i) => src.items.forEach(item => { data.push(item); origins.push(i); }));
+        const report = validateCatalog(data, origins);
+        report.sources = files.map(f => path.relative(__dirname, f));
+        CATALOG.report = report;
+        if (data.length && !report.valid) throw new Error('Ningún registro válido en el catálogo');
+        // Sin CATALOG_PARTIAL un registro con errores invalida la recarga
+        const rejected = new Set(report.errors.map(e => e.index));
+        if (rejected.size && !config.CATALOG_PARTIAL) throw new Error(rejected.size + ' registros con errores, ver /api/admin/catalog-report (CATALOG_PARTIAL=true para publicar el resto)');
+
+        const { map, positions, hosts } = buildSeries(data, origins, report);
+        report.enriched = enrichFromSidecars(map);
+
+        SERIES_INDEX = map;
+        SERIES_POS = positions;
+        SERIES_HOSTS = hosts;
+        SOURCE_ITEMS = read;
+        publishIndex();
+        console.log('[OK] ' + SERIES_LIST.length + ' series, ' + TOTAL_EPISODES + ' episodios (v' + CATALOG.version + ')');
+        if (rejected.size) console.warn('[WARN] ' + rejected.size + ' registros descartados, ver /api/admin/catalog-report');
+        return true;
+    } catch (e) {
+        CATALOG.error = e.message;
+        METRICS.reloadErrors++;
+        console.error('[ERROR]', e.message);
+        return false;
+    }
+}
+
+// Tras editar un archivo fuente desde el editor solo se reconstruyen las series afectadas, con los registros que tengan
+// en todas las fuentes ya leídas. El informe de /api/admin/catalog-report sigue siendo el de la última carga completa
+function updateSeries(file, data, names) {
+    const at = SOURCE_ITEMS.findIndex(src => src.file === file);
+    // Un archivo nuevo dentro de una carpeta fuente todavía no estaba leído
+    if (at < 0) return loadData();
+    SOURCE_ITEMS[at] = { file, items: data };
+
+    const subset = [], origins = [], indices = [];
+    let g = 0;
+    SOURCE_ITEMS.forEach((src, origin) => src.items.forEach(item => {
+        if (item && names.has(item.series || 'Sin nombre')) {
+            subset.push(item);
+            origins.push(origin);
+            indices.push(g);
+        }
+        g++;
+    }));
+    const report = validateCatalog(subset, origins);
+    // Con errores en otros registros de estas series decide la carga completa (que en modo estricto mantiene el índice anterior)
+    if (report.errors.length && !config.CATALOG_PARTIAL) return loadData();
+
+    const { map, positions, hosts } = buildSeries(subset, origins, report, indices);
+    enrichFromSidecars(map);
+    names.forEach(name => {
+        if (map[name]) {
+            SERIES_INDEX[name] = map[name];
+            SERIES_POS.set(name, positions.get(name));
+            SERIES_HOSTS.set(name, hosts.get(name));
+        } else {
+            delete SERIES_INDEX[name];
+            SERIES_POS.delete(name);
+            SERIES_HOSTS.delete(name);
+        }
+    });
+    publishIndex();
+    console.log('[OK] ' + names.size + ' series actualizadas desde el editor (v' + CATALOG.version + ')');
+    return true;
+}
+
+// ===== Enriquecimiento con archivos .nfo (Kodi) y .json junto a los medios =====
+// METADATA_DIR/<serie>/tvshow.nfo|tvshow.json y, en cualquier subcarpeta, un .nfo/.json por episodio
+const XML_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+function xmlTags(xml, tag) {
+    const re = new RegExp('<' + tag + '(?:\\s[^>]*)?>([\\s\\S]*?)</' + tag + '>', 'gi');
+    const out = [];
+    let m;
+    while ((m = re.exec(xml))) {
+        out.push(m[1].replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, '$1')
+            .replace(/&(amp|lt|gt|quot|apos);/g, (e, k) => XML_ENTITIES[k])
+            .replace(/&#(\d+);/g, (e, n) => String.fromCharCode(n)).trim());
+    }
+    return out;
+}
+
+const xmlTag = (xml, tag) => xmlTags(xml, tag)[0] || '';
+// Solo URLs http(s) que además se puedan analizar: "http://" a secas no sirve
+function httpUrl(v) {
+    if (!/^https?:\/\//i.test(v || '')) return '';
+    try { new URL(v); } catch (e) { return ''; }
+    return v;
+}
+
+// Normaliza un .nfo o .json a los mismos campos
+function readSidecar(file) {
+    const raw = fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, '');
+    if (file.toLowerCase().endsWith('.json')) {
+        const j = JSON.parse(raw);
+        return {
+            plot: j.plot || j.description || j.overview || '', aired: j.aired || j.airDate || '', runtime: Number(j.runtime) || null,
+            thumb: httpUrl(j.thumb || j.still), poster: httpUrl(j.poster), backdrop: httpUrl(j.backdrop || j.fanart),
+            year: j.year, rating: j.rating, genres: j.genres || j.genre, season: j.season, episode: j.episode || j.ep
+        };
+    }
+    const fanart = xmlTag(raw, 'fanart');
+    const thumbs = xmlTags(raw.replace(/<fanart[\s\S]*?<\/fanart>/gi, ''), 'thumb');
+    const rating = xmlTag(raw, 'rating') ? xmlTag(xmlTag(raw, 'rating'), 'value') || xmlTag(raw, 'rating') : '';
+    return {
+        plot: xmlTag(raw, 'plot') || xmlTag(raw, 'outline'), aired: xmlTag(raw, 'aired') || xmlTag(raw, 'premiered'),
+        runtime: Number(xmlTag(raw, 'runtime')) || null, thumb: httpUrl(thumbs[0]), poster: httpUrl(thumbs[0]),
+        backdrop: httpUrl(fanart ? xmlTag(fanart, 'thumb') : ''), year: xmlTag(raw, 'year') || (xmlTag(raw, 'premiered') || '').slice(0, 4),
+        rating, genres: xmlTags(raw, 'genre'), season: xmlTag(raw, 'season'), episode: xmlTag(raw, 'episode')
+    };
+}
+
+function listSidecars(dir, depth) {
+    let out = [];
+    fs.readdirSync(dir, { withFileTypes: true }).forEach(d => {
+        const p = path.join(dir, d.name);
+        if (d.isDirectory() && depth > 0) out = out.concat(listSidecars(p, depth - 1));
+        else if (/\.(nfo|json)$/i.test(d.name)) out.push(p);
+    });
+    return out;
+}
+
+// Los datos del catálogo mandan; los archivos auxiliares solo rellenan huecos
+function enrichFromSidecars(map) {
+    const stats = { series: 0, episodes: 0, errors: [] };
+    if (!config.METADATA_DIR) return stats;
+    const root = sourcePath(config.METADATA_DIR);
+    if (!fs.existsSync(root)) return stats;
+
+    const byFolded = new Map(Object.keys(map).map(n => [fold(n), map[n]]));
+    fs.readdirSync(root, { withFileTypes: true }).filter(d => d.isDirectory()).forEach(d => {
+        const s = byFolded.get(fold(d.name));
+        if (!s) return;
+        listSidecars(path.join(root, d.name), 3).forEach(file => {
+            let meta;
+            try { meta = readSidecar(file); } catch (e) {
+                stats.errors.push({ file: path.relative(root, file), message: e.message });
+                return;
+            }
+            if (/^tvshow\.(nfo|json)$/i.test(path.basename(file))) {
+                mergeMeta(s, { genres: meta.genres, year: meta.year, rating: meta.rating, description: meta.plot, backdrop: meta.backdrop });
+                if (!s.poster && meta.poster) s.poster = meta.poster;
+                stats.series++;
+                return;
+            }
+            const m = path.basename(file).match(/S(\d{1,3})\s*E(\d{1,4})/i) || path.basename(file).match(/\b(\d{1,2})x(\d{1,4})\b/);
+            const season = isNum(meta.season) ? Number(meta.season) : m ? Number(m[1]) : null;
+            const epNum = isNum(meta.episode) ? Number(meta.episode) : m ? Number(m[2]) : null;
+            const ep = season !== null && epNum !== null && (s.seasons[String(season)] || []).find(e => e.ep === epNum);
+            if (!ep) return;
+            if (!ep.plot && meta.plot) ep.plot = meta.plot;
+            if (!ep.aired && meta.aired) ep.aired = meta.aired;
+            if (!ep.runtime && meta.runtime) ep.runtime = meta.runtime;
+            if (!ep.thumb && meta.thumb) ep.thumb = meta.thumb;
+            stats.episodes++;
+        });
+    });
+    return stats;
+}
+
+// ===== Búsqueda: sin acentos, tolerante a erratas y con ranking =====
+const fold = str => String(str || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+const tokenize = str => fold(str).split(/[^a-z0-9]+/).filter(Boolean);
+
+// Cada documento es una serie o un episodio; el vocabulario apunta a los documentos que contienen cada token
+function buildSearchIndex(map, list) {
+    const docs = [], vocab = new Map();
+    const add = (doc, text) => {
+        const id = docs.push(doc) - 1;
+        new Set(tokenize(text)).forEach(t => {
+            if (!vocab.has(t)) vocab.set(t, []);
+            vocab.get(t).push(id);
+        });
+    };
+    Object.values(map).forEach(s => {
+        add({ series: s.name, episode: null }, s.name);
+        Object.keys(s.seasons).forEach(season => s.seasons[season].forEach(e => {
+            add({ series: s.name, episode: { season, ep: e.ep, title: e.title } }, e.title);
+        }));
+    });
+    return { docs, vocab, summaries: new Map(list.map(s => [s.name, s])) };
+}
+
+// Distancia de Damerau-Levenshtein (OSA) con corte: devuelve max + 1 en cuanto se supera max
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null, prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        const cur = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            cur[j] = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+            if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) cur[j] = Math.min(cur[j], prev2[j - 2] + 1);
+            rowMin = Math.min(rowMin, cur[j]);
+        }
+        if (rowMin > max) return max + 1;
+        prev2 = prev;
+        prev = cur;
+    }
+    return prev[b.length];
+}
+
+// Puntuación de cada token del vocabulario para un token de la consulta: exacto > prefijo > errata
+function matchToken(qt, vocab) {
+    const hits = new Map();
+    const maxTypos = qt.length >= 8 ? 2 : qt.length >= 4 ? 1 : 0;
+    vocab.forEach((ids, t) => {
+        let score = 0;
+        if (t === qt) score = 3;
+        else if (qt.length >= 2 && t.startsWith(qt)) score = 2;
+        else if (maxTypos) {
+            // Los tokens largos se recortan para tolerar erratas también en búsquedas por prefijo
+            const d = editDistance(qt, t.length > qt.length + maxTypos ? t.slice(0, qt.length + 1) : t, maxTypos);
+            if (d <= maxTypos) score = d === 1 ? 1 : 0.5;
+        }
+        if (score) ids.forEach(id => { if ((hits.get(id) || 0) < score) hits.set(id, score); });
+    });
+    return hits;
+}
+
+// Todos los tokens deben coincidir en el mismo documento; los nombres de serie pesan el doble que los títulos
+function searchSeries(query) {
+    const qts = [...new Set(tokenize(query))];
+    if (!qts.length) return [];
+    const { docs, vocab, summaries } = SEARCH_INDEX;
+    let scores = null;
+    qts.forEach(qt => {
+        const hits = matchToken(qt, vocab);
+        if (!scores) { scores = hits; return; }
+        const next = new Map();
+        scores.forEach((sc, id) => { if (hits.has(id)) next.set(id, sc + hits.get(id)); });
+        scores = next;
+    });
+
+    const phrase = fold(query).trim();
+    const best = new Map();
+    scores.forEach((sc, id) => {
+        const doc = docs[id];
+        let score = doc.episode ? sc : sc * 2;
+        if (fold(doc.episode ? doc.episode.title : doc.series).includes(phrase)) score += 2;
+        const cur = best.get(doc.series);
+        if (!cur || score > cur.score) best.set(doc.series, { score, episode: doc.episode });
+    });
+
+    return [...best].map(([name, m]) => {
+        return Object.assign({}, summaries.get(name), { score: m.score, match: m.episode ? 'episode' : 'series', episode: m.episode });
+    }).sort((a, b) => b.score - a.score || a.name.localeCompare(b.name));
+}
+
+// ===== Escritura del catálogo =====
+// Copia de seguridad en <archivo>.bak y escritura atómica; la recarga en caliente ignora lo escrito desde aquí
+const SELF_WRITES = new Map();
+
+function writeCatalog(file, data) {
+    if (fs.existsSync(file)) fs.copyFileSync(file, file + '.bak');
+    fs.writeFileSync(file + '.tmp', JSON.stringify(data, null, 2));
+    fs.renameSync(file + '.tmp', file);
+    SELF_WRITES.set(file, fs.statSync(file).mtimeMs);
+}
+
+// ===== Escáner de la biblioteca =====
+// <serie>/[Temporada N/]archivo con S01E02, 1x02 o solo el número del episodio; póster: poster|folder|cover.jpg
+// y subtítulos junto al vídeo con el mismo nombre (archivo.srt, archivo.es.srt)
+const SEASON_DIR = /^(?:season|temporada|series|s)[\s._-]*(\d{1,3})$/i;
+const POSTER_FILE = /^(?:poster|folder|cover)\.(?:jpe?g|png|webp)$/i;
+
+// Etiquetas de calidad/release: se corta el título a partir de la primera
+const RELEASE_TAGS = /\b(?:\d{3,4}p|[xh]\.?26[45]|hevc|web-?(?:dl|rip)|b[dr]rip|bluray|hdtv|dvdrip|proper|repack|multi|dual)\b.*$/i;
+
+const cleanName = s => s.replace(/[._]+/g, ' ').replace(RELEASE_TAGS, '').replace(/\[[^\]]*\]/g, '').replace(/\s+/g, ' ').replace(/^[\s-]+|[\s-]+$/g, '');
+
+// rel es la ruta relativa a MEDIA_DIR; null si no se reconoce el episodio
+function parseMediaPath(rel) {
+    const dirs = rel.split(/[\\/]/);
+    const base = path.basename(dirs.pop(), path.extname(rel)).replace(/_/g, ' ');
+    const seasonDir = dirs.map(d => d.match(SEASON_DIR)).find(Boolean);
+    let season = seasonDir ? Number(seasonDir[1]) : 1, ep, before = '', after;
+
+    const m = base.match(/S(\d{1,3})[\s._-]*E(\d{1,4})/i) || base.match(/\b(\d{1,2})x(\d{1,4})\b/);
+    if (m) {
+        season = Number(m[1]);
+        ep = Number(m[2]);
+        before = base.slice(0, m.index);
+        after = base.slice(m.index + m[0].length);
+    } else {
+        const n = base.match(/^(?:e|ep|episodio|episode|cap[ií]tulo)?[\s._-]*(\d{1,4})\b/i) || base.match(/\b(?:e|ep|episodio|episode|cap[ií]tulo)[\s._-]*(\d{1,4})\b/i);
+        if (!n) return null;
+        ep = Number(n[1]);
+        after = base.slice(n.index + n[0].length);
+    }
+
+    // La carpeta de la serie manda; sin ella, lo que hay antes de S01E02 en el nombre
+    const folder = dirs.length && !SEASON_DIR.test(dirs[0]) ? dirs[0] : '';
+    const name = cleanName(folder || before);
+    if (!name) return null;
+    const year = name.match(/\s*\((\d{4})\)$/);
+    const item = { series: year ? name.slice(0, year.index) : name, season, ep, title: cleanName(after) || 'Episodio ' + ep, url: rel.split(path.sep).join('/') };
+    if (year && validYear(year[1])) item.year = Number(year[1]);
+    return { item, folder };
+}
+
+// Recorre la biblioteca con fs asíncrono, una carpeta cada vez, para no bloquear el servidor en bibliotecas grandes
+function scanLibrary(cb) {
+    if (!config.MEDIA_DIR) return cb(new Error('MEDIA_DIR no configurado'));
+    const root = sourcePath(config.MEDIA_DIR);
+    const entries = [], skipped = [], posters = Object.create(null), subs = Object.create(null);
+
+    const visit = (name, full) => {
+        const rel = path.relative(root, full);
+        if (POSTER_FILE.test(name)) {
+            const top = rel.split(path.sep)[0];
+            if (top !== name && !posters[top]) posters[top] = rel.split(path.sep).join('/');
+            return;
+        }
+        if (/\.(?:srt|vtt)$/i.test(name)) {
+            (subs[path.dirname(rel)] = subs[path.dirname(rel)] || []).push(name);
+            return;
+        }
+        if (!MEDIA_TYPES[path.extname(name).toLowerCase()]) return;
+        const parsed = parseMediaPath(rel);
+        if (!parsed) return skipped.push(rel);
+        parsed.item.folder = parsed.folder;
+        entries.push(parsed.item);
+    };
+    const walk = (dir, done) => fs.readdir(dir, { withFileTypes: true }, (err, list) => {
+        if (err) return done(dir === root && err.code === 'ENOENT' ? new Error('No existe ' + config.MEDIA_DIR) : err);
+        const items = list.filter(d => !d.name.startsWith('.')).sort((a, b) => a.name.localeCompare(b.name));
+        let i = 0;
+        const step = err2 => {
+            if (err2) return done(err2);
+            while (i < items.length) {
+                const d = items[i++];
+                const full = path.join(dir, d.name);
+                if (d.isDirectory()) return walk(full, step);
+                visit(d.name, full);
+            }
+            done();
+        };
+        step();
+    });
+
+    walk(root, err => {
+        if (err) return cb(err);
+        entries.forEach(e => {
+            if (posters[e.folder]) e.poster = posters[e.folder];
+            delete e.folder;
+            const dir = path.dirname(e.url.split('/').join(path.sep));
+            const base = path.basename(e.url, path.extname(e.url)) + '.';
+            const found = (subs[dir] || []).filter(f => f.startsWith(base));
+            if (found.length) e.subtitles = found.map(f => path.join(dir, f).split(path.sep).join('/'));
+        });
+        entries.sort((a, b) => a.series.localeCompare(b.series) || a.season - b.season || a.ep - b.ep);
+        cb(null, { entries, skipped });
+    });
+}
+
+// Une lo escaneado con el catálogo existente: lo escrito a mano se respeta y solo se rellenan huecos
+function mergeScan(existing, entries) {
+    const merged = existing.map(item => Object.assign({}, item));
+    const byFile = new Map();
+    merged.forEach(item => {
+        const file = item && localPath(item.url);
+        if (file) byFile.set(file, item);
+    });
+    const diff = { added: [], updated: [], missing: [] };
+    const found = new Set();
+    entries.forEach(entry => {
+        const file = localPath(entry.url);
+        found.add(file);
+        const item = byFile.get(file);
+        if (!item) {
+            merged.push(entry);
+            return diff.added.push(entry);
+        }
+        const fields = Object.keys(entry).filter(k => item[k] === undefined || item[k] === '');
+        if (!fields.length) return;
+        fields.forEach(k => { item[k] = entry[k]; });
+        diff.updated.push({ url: item.url, fields: fields.reduce((o, k) => Object.assign(o, { [k]: entry[k] }), {}) });
+    });
+    // Los que ya no están en disco se avisan pero no se borran
+    byFile.forEach((item, file) => { if (!found.has(file)) diff.missing.push(item.url); });
+    return { merged, diff };
+}
+
+// Sin write solo calcula el diff (dry-run). El catálogo se lee al terminar el recorrido para no pisar lo editado mientras tanto
+function runLibraryScan(target, write, cb) {
+    const file = sourcePath(target);
+    if (path.extname(file).toLowerCase() !== '.json') return cb(new Error('El escáner solo escribe catálogos JSON'));
+    scanLibrary((err, scan) => {
+        if (err) return cb(err);
+        try {
+            const existing = fs.existsSync(file) ? readSource(file) : [];
+            const { merged, diff } = mergeScan(existing, scan.entries);
+            diff.skipped = scan.skipped;
+            const result = { file: target, dryRun: !write, scanned: scan.entries.length, total: merged.length, diff };
+            if (write && (diff.added.length || diff.updated.length)) writeCatalog(file, merged);
+            cb(null, result);
+        } catch (e) {
+            cb(e);
+        }
+    });
+}
+
+// ===== CLI: node index.js --scan [--write] [--out <archivo>] =====
+// --out, como --validate, es relativo al directorio actual; DATA_FILE sigue siendo relativo a index.js
+function runScan() {
+    const out = process.argv.indexOf('--out');
+    runLibraryScan(out > -1 ? path.resolve(process.argv[out + 1] || '') : config.DATA_FILE, process.argv.includes('--write'), (err, result) => {
+        if (err) {
+            console.error('[ERROR]', err.message);
+            process.exit(1);
+        }
+        console.log(JSON.stringify(result, null, 2));
+        const d = result.diff;
+        console.error((result.dryRun ? '[DRY-RUN] ' : '[OK] ') + d.added.length + ' nuevos, ' + d.updated.length + ' actualizados, ' +
+            d.missing.length + ' sin archivo, ' + d.skipped.length + ' sin reconocer');
+        process.exit(0);
+    });
+}
+
+// ===== CLI: node index.js --validate <archivo> =====
+function runValidate(file) {
+    if (!file) {
+        console.error('Uso: node index.js --validate <archivo>');
+        process.exit(2);
+    }
+    let report;
+    try {
+        report = validateCatalog(readSource(path.resolve(file)));
+    } catch (e) {
+        report = { ok: false, errors: [{ index: null, message: e.message }] };
+    }
+    console.log(JSON.stringify(report, null, 2));
+    console.error((report.ok ? '[OK] ' : '[ERROR] ') + (report.valid || 0) + '/' + (report.total || 0) + ' válidos, ' +
+        report.errors.length + ' errores, ' + (report.warnings || []).length + ' avisos, ' + (report.duplicates || []).length + ' duplicados');
+    process.exit(report.ok ? 0 : 1);
+}
+
+const validateArg = process.argv.indexOf('--validate');
+if (validateArg > -1) runValidate(process.argv[validateArg + 1]);
+// El escaneo por CLI es asíncrono: mientras dura no se carga el catálogo ni se arranca el servidor, y al acabar sale
+const SCAN_CLI = process.argv.includes('--scan');
+if (SCAN_CLI) runScan();
+else loadData();
+
+// ===== Recarga en caliente del catálogo =====
+let reloadT;
+const watched = new Set();
+
+function onSourceChange(cur, prev, p) {
+    if (cur.mtimeMs === prev.mtimeMs || SELF_WRITES.get(p) === cur.mtimeMs) return;
+    // Esperar a que termine la escritura antes de leer
+    clearTimeout(reloadT);
+    reloadT = setTimeout(() => {
+        console.log('[RELOAD] Cambio detectado en el catálogo');
+        loadData();
+        watchSources();
+    }, 500);
+}
+
+// Vigila cada fuente y, en las carpetas, también sus archivos (los nuevos se añaden tras cada recarga)
+function watchSources() {
+    const paths = config.SOURCES.map(sourcePath);
+    try { paths.push(...sourceFiles()); } catch (e) { /* una fuente que falta se sigue vigilando por su ruta */ }
+    paths.filter(p => !watched.has(p)).forEach(p => {
+        watched.add(p);
+        fs.watchFile(p, { interval: config.WATCH_INTERVAL }, (cur, prev) => onSourceChange(cur, prev, p));
+    });
+}
+
+if (!SCAN_CLI) watchSources();
+
+function safeEqual(a, b) {
+    const ba = Buffer.from(String(a)), bb = Buffer.from(String(b));
+    return ba.length === bb.length && crypto.timingSafeEqual(ba, bb);
+}
+
+function adminToken(req) {
+    const auth = req.headers.authorization || '';
+    return (auth.startsWith('Bearer ') ? auth.slice(7) : req.headers['x-admin-token']) || '';
+}
+
+const isAdmin = req => !!config.ADMIN_TOKEN && safeEqual(adminToken(req), config.ADMIN_TOKEN);
+
+function requireAdmin(req, res, next) {
+    if (!config.ADMIN_TOKEN) return res.status(403).json({ error: 'Admin deshabilitado' });
+    if (!isAdmin(req)) return res.status(401).json({ error: 'No autorizado' });
+    next();
+}
+
+// ===== Almacenes JSON en disco =====
+const stores = [];
+
+// Escritura diferida y atómica (tmp + rename) para no corromper el archivo si el proceso muere a mitad
+function jsonStore(file, initial) {
+    const p = sourcePath(file);
+    let saveT = null;
+    const store = {
+        data: initial,
+        save() {
+            clearTimeout(saveT);
+            saveT = setTimeout(store.flush, 1000);
+        },
+        flush() {
+            clearTimeout(saveT);
+            saveT = null;
+            try {
+                fs.writeFileSync(p + '.tmp', JSON.stringify(store.data));
+                fs.renameSync(p + '.tmp', p);
+            } catch (e) { console.error('[STORE ERROR]', file, e.message); }
+        }
+    };
+    try {
+        if (fs.existsSync(p)) store.data = JSON.parse(fs.readFileSync(p, 'utf8'));
+    } catch (e) { console.error('[STORE ERROR]', file, e.message); }
+    stores.push(store);
+    return store;
+}
+
+['SIGINT', 'SIGTERM'].forEach(sig => process.on(sig, () => {
+    stores.forEach(s => s.flush());
+    process.exit(0);
+}));
+
+const jsonBody = express.json({ limit: '64kb' });
+
+// ===== Perfiles y sesión =====
+const profiles = jsonStore(config.PROFILES_FILE, { profiles: [], sessions: {} });
+const SESSION_COOKIE = 'sid';
+const AVATAR_COLORS = ['#c00', '#e67e22', '#f1c40f', '#27ae60', '#2980b9', '#8e44ad', '#16a085', '#d35400'];
+
+const profileLimiter = rateLimit({ windowMs: 15 * 60 * 1000, max: 20 });
+
+function parseCookies(req) {
+    const out = {};
+    (req.headers.cookie || '').split(';').forEach(pair => {
+        const i = pair.indexOf('=');
+        if (i > 0) {
+            try { out[pair.slice(0, i).trim()] = decodeURIComponent(pair.slice(i + 1).trim()); } catch (e) { /* cookie mal formada */ }
+        }
+    });
+    return out;
+}
+
+function hashPin(pin, salt) {
+    salt = salt || crypto.randomBytes(16).toString('hex');
+    return salt + ':' + crypto.scryptSync(String(pin), salt, 32).toString('hex');
+}
+
+function checkPin(pin, stored) {
+    return safeEqual(hashPin(pin, stored.split(':')[0]), stored);
+}
+
+const publicProfile = p => ({ id: p.id, name: p.name, avatar: p.avatar, kids: p.kids, hasPin: !!p.pin });
+
+const sessionExpired = session => Date.now() - session.createdAt > config.SESSION_MAX_AGE * 1000;
+
+function currentProfile(req) {
+    const sid = parseCookies(req)[SESSION_COOKIE];
+    const session = profiles.data.sessions[sid];
+    if (!session) return null;
+    if (sessionExpired(session)) {
+        delete profiles.data.sessions[sid];
+        profiles.save();
+        return null;
+    }
+    return profiles.data.profiles.find(p => p.id === session.profileId) || null;
+}
+
+const KIDS_GENRES = new Set(config.KIDS_GENRES.map(g => fold(g.trim())).filter(Boolean));
+
+// Filtro de series para la petición: con un perfil infantil, solo las de KIDS_GENRES
+function visibleTo(req) {
+    const profile = currentProfile(req);
+    if (!profile || !profile.kids) return () => true;
+    return s => s.genres.some(g => KIDS_GENRES.has(fold(g)));
+}
+
+// Perfil activo de la petición; sin sesión se usa uno compartido por toda la casa
+function profileOf(req) {
+    const profile = currentProfile(req);
+    return profile ? profile.id : 'default';
+}
+
+function setSession(req, res, profileId) {
+    const old = parseCookies(req)[SESSION_COOKIE];
+    if (old) delete profiles.data.sessions[old];
+    // Las sesiones caducadas de navegadores que no han vuelto se purgan al abrir una nueva
+    Object.keys(profiles.data.sessions).forEach(id => {
+        if (sessionExpired(profiles.data.sessions[id])) delete profiles.data.sessions[id];
+    });
+    const sid = crypto.randomBytes(24).toString('hex');
+    profiles.data.sessions[sid] = { profileId, createdAt: Date.now() };
+    profiles.save();
+    res.setHeader('Set-Cookie', SESSION_COOKIE + '=' + sid + '; Path=/; HttpOnly; SameSite=Lax; Max-Age=' + config.SESSION_MAX_AGE + (req.secure ? '; Secure' : ''));
+}
+
+// ===== Preferencias de idioma (audio y subtítulos) por perfil =====
+const LANG_CODE = /^[a-z]{2,3}(?:-[a-z0-9]{2,8})?$/i;
+const DEFAULT_PREFS = { audio: '', subtitles: '' };
+
+function prefsOf(req) {
+    return Object.assign({}, DEFAULT_PREFS, (profiles.data.prefs || {})[profileOf(req)]);
+}
+
+// ===== Favoritos ("Mi lista") =====
+const favorites = jsonStore(config.FAVORITES_FILE, {});
+const favoritesOf = req => favorites.data[profileOf(req)] || {};
+
+// ===== Progreso de reproducción =====
+const progress = jsonStore(config.PROGRESS_FILE, {});
+const WATCHED_RATIO = 0.92;
+const progressKey = (series, season, ep) => series + '|' + season + '|' + ep;
+
+// Al renombrar una serie o renumerar una temporada o un episodio desde el editor, el progreso de cada perfil los sigue,
+// y en un renombrado también los favoritos. from = { series, season?, ep? } (sin season o ep vale cualquiera); to, los campos nuevos
+function moveSeriesData(from, to) {
+    if (to.series !== undefined && to.series !== from.series) {
+        Object.values(favorites.data).forEach(list => {
+            if (list[from.series] === undefined) return;
+            list[to.series] = list[from.series];
+            delete list[from.series];
+        });
+        favorites.save();
+    }
+    Object.values(progress.data).forEach(list => {
+        Object.keys(list).forEach(key => {
+            const entry = list[key];
+            if (entry.series !== from.series) return;
+            if (from.season !== undefined && Number(entry.season) !== Number(from.season)) return;
+            if (from.ep !== undefined && entry.ep !== Number(from.ep)) return;
+            delete list[key];
+            if (to.series !== undefined) entry.series = to.series;
+            if (to.season !== undefined) entry.season = String(to.season);
+            if (to.ep !== undefined) entry.ep = Number(to.ep);
+            list[progressKey(entry.series, entry.season, entry.ep)] = entry;
+        });
+    });
+    progress.save();
+}
+
+// Copia de la serie sin las URLs de origen de los episodios
+function publicSeries(s) {
+    const seasons = {};
+    Object.keys(s.seasons).forEach(k => {
+        seasons[k] = s.seasons[k].map(episode => {
+            const { url, mirrors, subtitles, ...ep } = episode;
+            if (subtitles) ep.subtitles = subtitles.map(sub => sub.lang || sub.label);
+            // Marcado por la comprobación de enlaces: ninguna de sus fuentes responde
+            if (episodeBroken(episode)) ep.broken = true;
+            return ep;
+        });
+    });
+    return Object.assign({}, s, { seasons });
+}
+
+function findEpisode(name, season, ep) {
+    const series = SERIES_INDEX[name];
+    const eps = series && series.seasons[String(season)];
+    return eps ? eps.find(e => e.ep === Number(ep)) : null;
+}
+
+// La URL principal va primero, después los espejos por prioridad
+const episodeSources = episode => [{ url: episode.url, label: '' }].concat(episode.mirrors || []);
+
+// Fuente a la que apunta un token de /api/play
+function tokenSource(payload) {
+    const episode = findEpisode(payload.s, payload.n, payload.e);
+    if (!episode) return { status: 404, error: 'Episodio no encontrado' };
+    return episodeSources(episode)[payload.i || 0] || { status: 404, error: 'Fuente no encontrada' };
+}
+
+// ===== OPTIMIZACIÓN 2: Headers CORS mejorados para streaming =====
+app.use((req, res, next) => { 
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Range, Content-Type, Accept');
+    res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Accept-Ranges, Content-Length, Content-Type');
+
+    if (req.method === 'OPTIONS') {
+        return res.sendStatus(204);
+    }
+    next(); 
+});
+
+app.get('/api/stats', (req, res) => res.json({ series: SERIES_LIST.length, episodes: TOTAL_EPISODES, version: CATALOG.version, loadedAt: CATALOG.loadedAt }));
+
+app.get('/api/admin/catalog-report', requireAdmin, (req, res) => {
+    if (!CATALOG.report) return res.status(404).json({ error: CATALOG.error || 'Catálogo no cargado' });
+    res.json({ version: CATALOG.version, loadedAt: CATALOG.loadedAt, error: CATALOG.error, report: CATALOG.report });
+});
+
+app.post('/api/admin/reload', requireAdmin, (req, res) => {
+    if (!loadData()) return res.status(422).json({ error: CATALOG.error, version: CATALOG.version, loadedAt: CATALOG.loadedAt });
+    res.json({ ok: true, version: CATALOG.version, loadedAt: CATALOG.loadedAt, series: SERIES_LIST.length, episodes: TOTAL_EPISODES });
+});
+
+// Sin { "write": true } solo devuelve el diff
+let scanning = false;
+app.post('/api/admin/scan', requireAdmin, jsonBody, (req, res) => {
+    const write = !!(req.body && req.body.write);
+    // Escribir en un DATA_FILE que no es fuente no cambiaría nada de lo que se sirve
+    const target = write ? catalogFile() : {};
+    if (target.error) return res.status(422).json({ error: target.error });
+    if (scanning) return res.status(409).json({ error: 'Ya hay un escaneo en curso' });
+    scanning = true;
+    runLibraryScan(config.DATA_FILE, write, (err, result) => {
+        scanning = false;
+        if (err) return res.status(422).json({ error: err.message });
+        if (!result.dryRun) loadData();
+        res.json(result);
+    });
+});
+
+// ===== Edición del catálogo (DATA_FILE) =====
+// Episodios identificados por serie + temporada + número; los metadatos de serie se guardan en todos sus registros
+const SERIES_FIELDS = ['poster', 'genres', 'year', 'description', 'rating', 'backdrop', 'language'];
+const EPISODE_FIELDS = ['title', 'url', 'mirrors', 'subtitles', 'intro', 'credits', 'added'];
+const sameSeries = (r, name) => r && (r.series || 'Sin nombre') === name;
+const sameEpisode = (r, name, season, ep) => sameSeries(r, name) && Number(r.season || 1) === Number(season) && Number(r.ep || 1) === Number(ep);
+// También cuenta lo que llega de otras fuentes: con el mismo nombre se mezclarían en una sola serie
+const seriesTaken = (data, name) => data.some(r => sameSeries(r, name)) || !!SERIES_INDEX[name];
+const pick = (obj, fields) => fields.reduce((o, k) => (obj[k] !== undefined ? Object.assign(o, { [k]: obj[k] }) : o), {});
+
+// Aplica los metadatos de serie a un registro: "", null o una lista vacía quitan el campo
+function setMeta(record, meta) {
+    Object.keys(meta).forEach(k => {
+        const v = meta[k];
+        if (v === '' || v === null || (Array.isArray(v) && !v.length)) delete record[k];
+        else record[k] = v;
+    });
+    return record;
+}
+
+function catalogFile() {
+    const file = sourcePath(config.DATA_FILE);
+    if (path.extname(file).toLowerCase() !== '.json') return { error: 'Solo se puede editar un DATA_FILE en JSON' };
+    // Tiene que ser una de las fuentes (o estar en una carpeta fuente) para que el cambio se vea
+    const listed = config.SOURCES.map(sourcePath).some(src => src === file || path.dirname(file) === src);
+    if (!listed) return { error: 'DATA_FILE no está entre las fuentes (SOURCES)' };
+    return { file };
+}
+
+// mutate(data) cambia el array y devuelve { touched, body, after } o { status, error }. Se valida antes de escribir:
+// si algún registro tocado queda con errores no se guarda nada
+function editCatalog(res, mutate) {
+    const { file, error } = catalogFile();
+    if (error) return res.status(422).json({ error });
+    let data;
+    try {
+        data = fs.existsSync(file) ? readSource(file) : [];
+    } catch (e) {
+        return res.status(500).json({ error: e.message });
+    }
+    const seriesOf = r => (r && typeof r === 'object' ? r.series || 'Sin nombre' : null);
+    const before = new Map(data.map(r => [r, { json: JSON.stringify(r), name: seriesOf(r) }]));
+    const result = mutate(data);
+    if (result.error) return res.status(result.status || 400).json({ error: result.error });
+
+    const touched = new Set((result.touched || []).map(r => data.indexOf(r)));
+    const errors = validateCatalog(data).errors.filter(e => touched.has(e.index));
+    if (errors.length) return res.status(422).json({ error: 'Registro inválido', errors });
+    try {
+        writeCatalog(file, data);
+    } catch (e) {
+        return res.status(500).json({ error: 'No se pudo guardar: ' + e.message });
+    }
+    if (result.after) result.after();
+
+    // Series afectadas: las de los registros añadidos, quitados o cambiados, con el nombre de antes y el de después
+    const names = new Set(), kept = new Set(data);
+    data.forEach(r => {
+        const old = before.get(r);
+        if (old && old.json === JSON.stringify(r)) return;
+        names.add(seriesOf(r));
+        if (old) names.add(old.name);
+    });
+    before.forEach((old, r) => { if (!kept.has(r)) names.add(old.name); });
+    names.delete(null);
+    updateSeries(file, data, names);
+    res.json(Object.assign({ ok: true, version: CATALOG.version }, result.body));
+}
+
+function newEpisode(name, meta, body) {
+    const ep = setMeta(Object.assign({ series: name, season: Number(body.season || 1), ep: Number(body.ep) }, pick(body, EPISODE_FIELDS)), meta);
+    return isNum(body.ep) ? ep : null;
+}
+
+app.get('/api/admin/catalog', requireAdmin, (req, res) => {
+    const { file, error } = catalogFile();
+    if (error) return res.status(422).json({ error });
+    try {
+        res.json({ file: config.DATA_FILE, data: fs.existsSync(file) ? readSource(file) : [] });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// { name, poster, genres, ..., episodes: [{ season, ep, title, url }] }: una serie existe si tiene algún episodio
+app.post('/api/admin/series', requireAdmin, jsonBody, (req, res) => editCatalog(res, data => {
+    const body = req.body || {};
+    const name = String(body.name || '').trim();
+    if (!name) return { error: 'Nombre requerido' };
+    if (seriesTaken(data, name)) return { status: 409, error: 'Ya existe una serie con ese nombre' };
+    if (!Array.isArray(body.episodes) || !body.episodes.length) return { error: 'La serie necesita al menos un episodio' };
+    const meta = pick(body, SERIES_FIELDS);
+    const records = body.episodes.map(e => newEpisode(name, meta, e || {}));
+    if (records.some(r => !r)) return { error: 'Cada episodio necesita "ep"' };
+    data.push(...records);
+    return { touched: records, body: { series: name, episodes: records.length } };
+}));
+
+// Metadatos y renombrado ({ name: "Nuevo nombre" })
+app.put('/api/admin/series/:name', requireAdmin, jsonBody, (req, res) => editCatalog(res, data => {
+    const body = req.body || {};
+    const records = data.filter(r => sameSeries(r, req.params.name));
+    if (!records.length) return { status: 404, error: 'Serie no encontrada' };
+    const rename = body.name !== undefined ? String(body.name).trim() : req.params.name;
+    if (!rename) return { error: 'Nombre requerido' };
+    if (rename !== req.params.name && seriesTaken(data, rename)) return { status: 409, error: 'Ya existe una serie con ese nombre' };
+    const meta = pick(body, SERIES_FIELDS);
+    records.forEach(r => Object.assign(setMeta(r, meta), { series: rename }));
+    const after = rename !== req.params.name ? () => moveSeriesData({ series: req.params.name }, { series: rename }) : null;
+    return { touched: records, after, body: { series: rename, episodes: records.length } };
+}));
+
+app.delete('/api/admin/series/:name', requireAdmin, (req, res) => editCatalog(res, data => {
+    const before = data.length;
+    const kept = data.filter(r => !sameSeries(r, req.params.name));
+    if (kept.length === before) return { status: 404, error: 'Serie no encontrada' };
+    data.splice(0, data.length, ...kept);
+    return { body: { deleted: before - kept.length } };
+}));
+
+// Renumerar una temporada ({ season: 2 })
+app.put('/api/admin/series/:name/seasons/:season', requireAdmin, jsonBody, (req, res) => editCatalog(res, data => {
+    const to = Number((req.body || {}).season);
+    // Una temporada 0 se leería como la 1 (season || 1) y se mezclaría con ella
+    if (!Number.isInteger(to) || to < 1) return { error: 'Temporada inválida' };
+    const records = data.filter(r => sameSeries(r, req.params.name) && Number(r.season || 1) === Number(req.params.season));
+    if (!records.length) return { status: 404, error: 'Temporada no encontrada' };
+    if (to !== Number(req.params.season) && data.some(r => sameSeries(r, req.params.name) && Number(r.season || 1) === to)) return { status: 409, error: 'La temporada ' + to + ' ya existe' };
+    records.forEach(r => { r.season = to; });
+    const after = to !== Number(req.params.season) ? () => moveSeriesData({ series: req.params.name, season: req.params.season }, { season: to }) : null;
+    return { touched: records, after, body: { season: to, episodes: records.length } };
+}));
+
+app.delete('/api/admin/series/:name/seasons/:season', requireAdmin, (req, res) => editCatalog(res, data => {
+    const before = data.length;
+    const kept = data.filter(r => !(sameSeries(r, req.params.name) && Number(r.season || 1) === Number(req.params.season)));
+    if (kept.length === before) return { status: 404, error: 'Temporada no encontrada' };
+    data.splice(0, data.length, ...kept);
+    return { body: { deleted: before - kept.length } };
+}));
+
+// La serie puede no existir todavía; hereda los metadatos del primer episodio que ya tenga
+app.post('/api/admin/series/:name/episodes', requireAdmin, jsonBody, (req, res) => editCatalog(res, data => {
+    const body = req.body || {};
+    const name = req.params.name;
+    const first = data.find(r => sameSeries(r, name));
+    const record = newEpisode(name, first ? pick(first, SERIES_FIELDS) : {}, body);
+    if (!record) return { error: '"ep" requerido' };
+    if (data.some(r => sameEpisode(r, name, record.season, record.ep))) return { status: 409, error: 'El episodio ya existe' };
+    data.push(record);
+    return { touched: [record], body: { data: record } };
+}));
+
+app.put('/api/admin/series/:name/seasons/:season/episodes/:ep', requireAdmin, jsonBody, (req, res) => editCatalog(res, data => {
+    const { name, season, ep } = req.params;
+    const body = req.body || {};
+    const record = data.find(r => sameEpisode(r, name, season, ep));
+    if (!record) return { status: 404, error: 'Episodio no encontrado' };
+    const to = { season: body.season !== undefined ? Number(body.season) : Number(record.season || 1), ep: body.ep !== undefined ? Number(body.ep) : Number(record.ep || 1) };
+    if (!Number.isInteger(to.season) || to.season < 1) return { error: 'Temporada inválida' };
+    if ((to.season !== Number(season) || to.ep !== Number(ep)) && data.some(r => sameEpisode(r, name, to.season, to.ep))) return { status: 409, error: 'Ya existe ese episodio' };
+    Object.assign(record, pick(body, EPISODE_FIELDS), to);
+    const after = to.season !== Number(season) || to.ep !== Number(ep) ? () => moveSeriesData({ series: name, season, ep }, to) : null;
+    return { touched: [record], after, body: { data: record } };
+}));
+
+app.delete('/api/admin/series/:name/seasons/:season/episodes/:ep', requireAdmin, (req, res) => editCatalog(res, data => {
+    const i = data.findIndex(r => sameEpisode(r, req.params.name, req.params.season, req.params.ep));
+    if (i < 0) return { status: 404, error: 'Episodio no encontrado' };
+    data.splice(i, 1);
+    return { body: { deleted: 1 } };
+}));
+
+// Cambia un host por otro en URLs, espejos, subtítulos y pósters ({ from: "old.cdn.com", to: "new.cdn.com" })
+app.post('/api/admin/replace-host', requireAdmin, jsonBody, (req, res) => editCatalog(res, data => {
+    const from = String((req.body || {}).from || '').trim().toLowerCase();
+    const to = String((req.body || {}).to || '').trim().toLowerCase();
+    if (!from || !to || !/^[a-z0-9.-]+(?::\d+)?$/.test(to)) return { error: 'Indica "from" y "to" (host[:puerto])' };
+    let urls = 0;
+    const swap = u => {
+        if (typeof u !== 'string' || !httpUrl(u)) return u;
+        const parsed = new URL(u);
+        if (parsed.host !== from) return u;
+        parsed.host = to;
+        urls++;
+        return parsed.href;
+    };
+    const touched = [];
+    data.forEach(r => {
+        if (!r || typeof r !== 'object') return;
+        const before = urls;
+        ['url', 'poster', 'logo serie', 'backdrop'].forEach(k => { if (r[k] !== undefined) r[k] = swap(r[k]); });
+        ['mirrors', 'subtitles'].forEach(k => {
+            if (Array.isArray(r[k])) r[k] = r[k].map(m => (m && typeof m === 'object' ? Object.assign({}, m, { url: swap(m.url) }) : swap(m)));
+        });
+        if (urls > before) touched.push(r);
+    });
+    if (!urls) return { status: 404, error: 'Ninguna URL usa ' + from };
+    return { touched, body: { replaced: urls, records: touched.length } };
+}));
+
+// "2008" o "1990-1999"; null si no es un año o un rango válido
+function yearRange(value) {
+    const m = /^(\d{4})(?:-(\d{4}))?$/.exec(String(value).trim());
+    if (!m || !validYear(m[1]) || (m[2] && !validYear(m[2]))) return null;
+    const from = Number(m[1]), to = m[2] ? Number(m[2]) : from;
+    return from <= to ? [from, to] : null;
+}
+
+// genre=Drama, year=2008 o year=1990-1999 (las rutas rechazan antes un year inválido)
+function filterSeries(list, query) {
+    if (query.genre) {
+        const genre = fold(query.genre);
+        list = list.filter(s => s.genres.some(g => fold(g) === genre));
+    }
+    if (query.year) {
+        const [from, to] = yearRange(query.year);
+        list = list.filter(s => s.year && s.year >= from && s.year <= to);
+    }
+    return list;
+}
+
+const badYear = query => query.year !== undefined && query.year !== '' && !yearRange(query.year);
+
+const SERIES_SORTS = {
+    name: (a, b) => a.name.localeCompare(b.name),
+    year: (a, b) => (b.year || 0) - (a.year || 0) || a.name.localeCompare(b.name),
+    recent: (a, b) => (b.addedAt || 0) - (a.addedAt || 0) || SERIES_POS.get(b.name) - SERIES_POS.get(a.name),
+    episodes: (a, b) => b.count - a.count || a.name.localeCompare(b.name)
+};
+
+app.get('/api/genres', (req, res) => res.json({ data: GENRES }));
+
+app.get('/api/series', (req, res) => {
+    if (badYear(req.query)) return res.status(400).json({ error: 'Año inválido: usa year=2008 o year=1990-1999' });
+    const page = parseInt(req.query.page) || 0;
+    const limit = parseInt(req.query.limit) || 250;
+    const search = fold(req.query.q || '');
+    const random = req.query.random === 'true';
+    let list = SERIES_LIST.filter(visibleTo(req));
+    if (req.query.favorites === 'true') {
+        const favs = favoritesOf(req);
+        list = list.filter(s => favs[s.name]);
+    }
+    if (search) list = list.filter(s => fold(s.name).includes(search));
+    list = filterSeries(list, req.query);
+    if (random) for (let i = list.length - 1; i > 0; i--) { const j = Math.floor(Math.random() * (i + 1)); [list[i], list[j]] = [list[j], list[i]]; }
+    else if (Object.hasOwn(SERIES_SORTS, req.query.sort) && req.query.sort !== 'name') list.sort(SERIES_SORTS[req.query.sort]);
+    const start = page * limit;
+    res.json({ total: list.length, page, hasMore: start + limit < list.length, data: list.slice(start, start + limit) });
+});
+
+// Por relevancia salvo que se pida sort (name, year, recent o episodes)
+app.get('/api/search', (req, res) => {
+    if (badYear(req.query)) return res.status(400).json({ error: 'Año inválido: usa year=2008 o year=1990-1999' });
+    const page = parseInt(req.query.page) || 0;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 250);
+    let list = searchSeries(String(req.query.q || '').slice(0, 100)).filter(visibleTo(req));
+    if (req.query.favorites === 'true') {
+        const favs = favoritesOf(req);
+        list = list.filter(s => favs[s.name]);
+    }
+    list = filterSeries(list, req.query);
+    if (Object.hasOwn(SERIES_SORTS, req.query.sort)) list.sort(SERIES_SORTS[req.query.sort]);
+    const start = page * limit;
+    res.json({ total: list.length, page, hasMore: start + limit < list.length, data: list.slice(start, start + limit) });
+});
+
+app.get('/api/series/:name', (req, res) => {
+    const series = SERIES_INDEX[decodeURIComponent(req.params.name)];
+    if (!series || !visibleTo(req)(series)) return res.status(404).json({ error: 'No encontrada' });
+    res.json({ data: publicSeries(series), favorite: !!favoritesOf(req)[series.name] });
+});
+
+// El cliente nunca ve la URL de origen: recibe un token firmado y caducable para el proxy
+app.get('/api/play/:series/:season/:ep', (req, res) => {
+    const { series, season, ep } = req.params;
+    const episode = findEpisode(series, season, ep);
+    if (!episode || !visibleTo(req)(SERIES_INDEX[series])) return res.status(404).json({ error: 'Episodio no encontrado' });
+    const sources = episodeSources(episode).map((src, i) => {
+        const token = signToken({ s: series, n: String(season), e: episode.ep, i });
+        const label = src.label || (i ? 'Espejo ' + i : 'Principal');
+        if (isLocalUrl(src.url)) return { url: '/media?t=' + token, hls: false, label, down: false };
+        const parsed = new URL(src.url);
+        const hls = /\.m3u8?$/i.test(parsed.pathname);
+        return { url: '/video-proxy?t=' + token + (hls ? '&hls=1' : ''), hls, label, down: upstreamDown(parsed.host) };
+    });
+    // Se empieza por la primera fuente cuyo host no esté en pausa por fallos
+    const start = Math.max(0, sources.findIndex(s => !s.down));
+    const subtitles = (episode.subtitles || []).map((sub, i) => ({
+        url: '/subtitles?t=' + signToken({ s: series, n: String(season), e: episode.ep, sub: i }), lang: sub.lang, label: sub.label
+    }));
+    res.json({ url: sources[start].url, hls: sources[start].hls, sources, start, subtitles, prefs: prefsOf(req),
+        autoplay: { countdown: config.AUTOPLAY_COUNTDOWN, stillWatching: config.STILL_WATCHING_AFTER }, expiresAt: Date.now() + config.STREAM_TOKEN_TTL });
+});
+
+app.post('/api/favorites/:name', (req, res) => {
+    const name = req.params.name;
+    if (!Object.hasOwn(SERIES_INDEX, name)) return res.status(404).json({ error: 'No encontrada' });
+    const profile = profileOf(req);
+    if (!favorites.data[profile]) favorites.data[profile] = {};
+    favorites.data[profile][name] = Date.now();
+    favorites.save();
+    res.json({ ok: true, favorite: true });
+});
+
+app.delete('/api/favorites/:name', (req, res) => {
+    const favs = favoritesOf(req);
+    if (Object.hasOwn(favs, req.params.name)) {
+        delete favs[req.params.name];
+        favorites.save();
+    }
+    res.json({ ok: true, favorite: false });
+});
+
+// ?series=nombre filtra por serie; ?continue=true devuelve lo último a medias de cada serie
+app.get('/api/progress', (req, res) => {
+    let list = Object.values(progress.data[profileOf(req)] || {}).sort((a, b) => b.updatedAt - a.updatedAt);
+    if (req.query.series) list = list.filter(p => p.series === req.query.series);
+    if (req.query.continue === 'true') {
+        const seen = new Set();
+        list = list.filter(p => {
+            if (p.watched || seen.has(p.series) || !SERIES_INDEX[p.series]) return false;
+            seen.add(p.series);
+            return true;
+        }).slice(0, parseInt(req.query.limit) || 20).map(p => Object.assign({ poster: SERIES_INDEX[p.series].poster }, p));
+    }
+    res.json({ data: list });
+});
+
+app.put('/api/progress', jsonBody, (req, res) => {
+    const { series, season, ep } = req.body || {};
+    const position = Number(req.body && req.body.position);
+    const duration = Number(req.body && req.body.duration) || 0;
+    const episode = findEpisode(series, season, ep);
+    if (!episode) return res.status(404).json({ error: 'Episodio no encontrado' });
+    if (!isFinite(position) || position < 0) return res.status(400).json({ error: 'Posición inválida' });
+
+    const profile = profileOf(req);
+    if (!progress.data[profile]) progress.data[profile] = {};
+    const entry = {
+        series, season: String(season), ep: episode.ep, title: episode.title,
+        position: duration ? Math.min(position, duration) : position,
+        duration,
+        watched: !!req.body.watched || (duration > 0 && position / duration >= WATCHED_RATIO),
+        updatedAt: Date.now()
+    };
+    progress.data[profile][progressKey(series, entry.season, entry.ep)] = entry;
+    progress.save();
+    res.json({ ok: true, data: entry });
+});
+
+// ===== Telemetría de reproducción =====
+// Cada sesión se suma al agregado de su episodio y de su host; en bruto solo se guardan las últimas
+const telemetry = jsonStore(config.TELEMETRY_FILE, { since: Date.now(), episodes: {}, hosts: {}, recent: [] });
+const TELEMETRY_RECENT = 100;
+const telemetryLimiter = rateLimit({ windowMs: 60 * 1000, max: 30 });
+const clampNum = (v, max) => Math.min(Math.max(Number(v) || 0, 0), max);
+const newQoe = extra => Object.assign({ sessions: 0, started: 0, failed: 0, startupMs: 0, rebuffers: 0, rebufferMs: 0, lowBuffer: 0, played: 0, failovers: 0, errors: {}, lastAt: 0 }, extra);
+
+function addQoe(bucket, s) {
+    bucket.sessions++;
+    if (s.startup !== null) {
+        bucket.started++;
+        bucket.startupMs += s.startup;
+    }
+    if (s.fatal) bucket.failed++;
+    ['rebuffers', 'rebufferMs', 'lowBuffer', 'played', 'failovers'].forEach(k => { bucket[k] += s[k]; });
+    s.errors.forEach(e => { bucket.errors[e] = (bucket.errors[e] || 0) + 1; });
+    bucket.lastAt = s.at;
+}
+
+// Para ordenar: sesiones que acabaron en error, arranque medio y fracción del tiempo parado en rebuffering
+function qoeSummary(b) {
+    return Object.assign({}, b, {
+        failRate: b.sessions ? b.failed / b.sessions : 0,
+        avgStartup: b.started ? Math.round(b.startupMs / b.started) : null,
+        rebufferRatio: b.played ? b.rebufferMs / (b.played * 1000 + b.rebufferMs) : 0
+    });
+}
+
+// La envía el reproductor con sendBeacon al terminar cada episodio; el host sale del catálogo, no del cliente
+app.post('/api/telemetry', telemetryLimiter, jsonBody, (req, res) => {
+    const b = req.body || {};
+    const episode = findEpisode(b.series, b.season, b.ep);
+    if (!episode) return res.status(404).json({ error: 'Episodio no encontrado' });
+    const sources = episodeSources(episode);
+    const source = sources[parseInt(b.src) || 0] || sources[0];
+    const s = {
+        at: Date.now(), series: b.series, season: String(b.season), ep: episode.ep,
+        host: isLocalUrl(source.url) ? 'local' : new URL(source.url).host,
+        startup: isNum(b.startup) ? Math.round(clampNum(b.startup, 600000)) : null,
+        rebuffers: Math.round(clampNum(b.rebuffers, 10000)),
+        rebufferMs: Math.round(clampNum(b.rebufferMs, 86400000)),
+        lowBuffer: Math.round(clampNum(b.lowBuffer, 86400)),
+        played: Math.round(clampNum(b.played, 86400)),
+        failovers: Math.round(clampNum(b.failovers, 100)),
+        fatal: !!b.fatal,
+        errors: (Array.isArray(b.errors) ? b.errors : []).slice(0, 20).map(e => String(e).slice(0, 60))
+    };
+    const data = telemetry.data;
+    const key = progressKey(s.series, s.season, s.ep);
+    if (!data.episodes[key]) data.episodes[key] = newQoe({ series: s.series, season: s.season, ep: s.ep, title: episode.title });
+    if (!data.hosts[s.host]) data.hosts[s.host] = newQoe({ host: s.host });
+    addQoe(data.episodes[key], s);
+    addQoe(data.hosts[s.host], s);
+    data.recent = [Object.assign({ profile: profileOf(req) }, s)].concat(data.recent).slice(0, TELEMETRY_RECENT);
+    telemetry.save();
+    res.status(204).end();
+});
+
+// Peores episodios y hosts (?limit=20&min=1 sesiones mínimas)
+app.get('/api/admin/telemetry', requireAdmin, (req, res) => {
+    const limit = parseInt(req.query.limit) || 20;
+    const min = parseInt(req.query.min) || 1;
+    const worst = list => list.map(qoeSummary).filter(b => b.sessions >= min)
+        .sort((a, b) => b.failRate - a.failRate || b.rebufferRatio - a.rebufferRatio || (b.avgStartup || 0) - (a.avgStartup || 0))
+        .slice(0, limit);
+    const data = telemetry.data;
+    res.json({
+        since: data.since,
+        sessions: Object.values(data.hosts).reduce((n, h) => n + h.sessions, 0),
+        episodes: worst(Object.values(data.episodes)),
+        hosts: worst(Object.values(data.hosts)),
+        recent: data.recent.slice(0, limit)
+    });
+});
+
+app.delete('/api/admin/telemetry', requireAdmin, (req, res) => {
+    telemetry.data = { since: Date.now(), episodes: {}, hosts: {}, recent: [] };
+    telemetry.save();
+    res.json({ ok: true });
+});
+
+app.get('/api/profiles', (req, res) => {
+    const current = currentProfile(req);
+    res.json({ data: profiles.data.profiles.map(publicProfile), current: current ? current.id : null });
+});
+
+app.post('/api/profiles', profileLimiter, jsonBody, (req, res) => {
+    const body = req.body || {};
+    const name = String(body.name || '').trim().slice(0, 30);
+    if (!name) return res.status(400).json({ error: 'Nombre requerido' });
+    // El primer perfil es libre; después solo crea perfiles un adulto con sesión (o el admin), para que nadie agote MAX_PROFILES
+    const current = currentProfile(req);
+    if (profiles.data.profiles.length && !(current && !current.kids) && !isAdmin(req)) return res.status(403).json({ error: 'Entra con un perfil de adulto para crear otro' });
+    if (profiles.data.profiles.length >= config.MAX_PROFILES) return res.status(409).json({ error: 'Máximo de perfiles alcanzado' });
+    if (profiles.data.profiles.some(p => p.name.toLowerCase() === name.toLowerCase())) return res.status(409).json({ error: 'Ya existe un perfil con ese nombre' });
+    if (body.pin && !/^\d{4,8}$/.test(String(body.pin))) return res.status(400).json({ error: 'El PIN debe tener de 4 a 8 dígitos' });
+
+    const profile = {
+        id: crypto.randomBytes(6).toString('hex'),
+        name,
+        avatar: /^#[0-9a-f]{3,6}$/i.test(body.avatar) ? body.avatar : AVATAR_COLORS[profiles.data.profiles.length % AVATAR_COLORS.length],
+        kids: !!body.kids,
+        pin: body.pin ? hashPin(body.pin) : null,
+        createdAt: Date.now()
+    };
+    profiles.data.profiles.push(profile);
+    setSession(req, res, profile.id);
+    res.status(201).json({ ok: true, data: publicProfile(profile) });
+});
+
+app.post('/api/profiles/logout', (req, res) => {
+    const sid = parseCookies(req)[SESSION_COOKIE];
+    if (sid && profiles.data.sessions[sid]) {
+        delete profiles.data.sessions[sid];
+        profiles.save();
+    }
+    res.setHeader('Set-Cookie', SESSION_COOKIE + '=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0');
+    res.json({ ok: true });
+});
+
+app.post('/api/profiles/:id/login', profileLimiter, jsonBody, (req, res) => {
+    const profile = profiles.data.profiles.find(p => p.id === req.params.id);
+    if (!profile) return res.status(404).json({ error: 'Perfil no encontrado' });
+    if (profile.pin && !checkPin((req.body || {}).pin || '', profile.pin)) return res.status(401).json({ error: 'PIN incorrecto' });
+    setSession(req, res, profile.id);
+    res.json({ ok: true, data: publicProfile(profile) });
+});
+
+app.get('/api/prefs', (req, res) => {
+    res.json({ data: prefsOf(req) });
+});
+
+// "" en subtitles = sin subtítulos; en audio = la pista por defecto del vídeo
+app.put('/api/prefs', jsonBody, (req, res) => {
+    const body = req.body || {};
+    const prefs = prefsOf(req);
+    for (const k of Object.keys(DEFAULT_PREFS)) {
+        if (body[k] === undefined) continue;
+        const v = String(body[k] || '').trim();
+        if (v && !LANG_CODE.test(v)) return res.status(400).json({ error: 'Idioma inválido: ' + k });
+        prefs[k] = v.toLowerCase();
+    }
+    if (!profiles.data.prefs) profiles.data.prefs = {};
+    profiles.data.prefs[profileOf(req)] = prefs;
+    profiles.save();
+    res.json({ ok: true, data: prefs });
+});
 
-// ===== OPTIMIZACIÓN 1: Compresión SOLO para contenido que lo necesita =====
-app.use(compression({
-    filter: (req, res) => {
-        // NO comprimir streams de video/audio
-        if (req.path === '/video-proxy') return false;
-        if (req.headers.accept && (
-            req.headers.accept.includes('video') || 
-            req.headers.accept.includes('audio')
-        )) return false;
-        return compression.filter(req, res);
-    },
-    level: 6
-}));
+// Solo se puede borrar el perfil con el que se ha iniciado sesión
+app.delete('/api/profiles/:id', (req, res) => {
+    const current = currentProfile(req);
+    if (!current || current.id !== req.params.id) return res.status(403).json({ error: 'Solo puedes borrar tu propio perfil' });
+    profiles.data.profiles = profiles.data.profiles.filter(p => p.id !== current.id);
+    Object.keys(profiles.data.sessions).forEach(sid => {
+        if (profiles.data.sessions[sid].profileId === current.id) delete profiles.data.sessions[sid];
+    });
+    profiles.save();
+    delete progress.data[current.id];
+    progress.save();
+    delete favorites.data[current.id];
+    favorites.save();
+    if (profiles.data.prefs) delete profiles.data.prefs[current.id];
+    res.setHeader('Set-Cookie', SESSION_COOKIE + '=; Path=/; HttpOnly; SameSite=Lax; Max-Age=0');
+    res.json({ ok: true });
+});
 
-app.use(helmet({
-    contentSecurityPolicy: {
-        directives: {
-            defaultSrc: ["'self'"],
-            styleSrc: ["'self'", "'unsafe-inline'"],
-            scriptSrc: ["'self'", "'unsafe-inline'"],
-            imgSrc: ["'self'", "data:", "https:", "http:"],
-            mediaSrc: ["'self'", "blob:", "data:", "https:", "http:", "*"],
-            connectSrc: ["'self'", "https:", "http:", "*"]
+// ===== HLS: Detección y reescritura de manifiestos m3u8 =====
+const HLS_TYPES = ['application/vnd.apple.mpegurl', 'application/x-mpegurl', 'audio/mpegurl', 'audio/x-mpegurl'];
+const HLS_MAX_MANIFEST = 5 * 1024 * 1024; // 5MB, un manifiesto nunca debería acercarse
+
+function isHlsManifest(parsed, contentType) {
+    const type = (contentType || '').split(';')[0].trim().toLowerCase();
+    if (HLS_TYPES.includes(type)) return true;
+    return /\.m3u8?$/i.test(parsed.pathname) && !type.startsWith('video/');
+}
+
+function proxyUrl(uri, base, derive) {
+    if (!uri || uri.startsWith('data:') || uri.startsWith('skd:')) return uri;
+    let abs;
+    try { abs = new URL(uri, base); } catch (e) { return uri; }
+    if (derive) allowDerivedHost(abs.hostname);
+    return '/video-proxy?hls=1&t=' + signToken({ u: abs.href });
+}
+
+// Reescribe cada URI del manifiesto (variantes, segmentos, claves, subtítulos) para que pase por el proxy.
+// Solo un manifiesto de un host de confianza añade sus hosts a los permitidos
+function rewriteManifest(body, base, derive) {
+    return body.split(/\r?\n/).map(line => {
+        const trimmed = line.trim();
+        if (!trimmed) return line;
+        if (trimmed.startsWith('#')) {
+            return line.replace(/URI="([^"]*)"/g, (m, uri) => 'URI="' + proxyUrl(uri, base, derive) + '"');
         }
-    },
-    crossOriginEmbedderPolicy: false,
-    crossOriginResourcePolicy: { policy: "cross-origin" }
-}));
+        return proxyUrl(trimmed, base, derive);
+    }).join('\n');
+}
 
-const videoProxyLimiter = rateLimit({ 
-    windowMs: 15 * 60 * 1000, 
-    max: 500, // Aumentado para streaming
-    skip: (req) => req.headers.range // No limitar requests de range
-});
+function sendManifest(proxyRes, res, parsed) {
+    const chunks = [];
+    let size = 0;
+    proxyRes.on('data', chunk => {
+        size += chunk.length;
+        if (size > HLS_MAX_MANIFEST) {
+            proxyRes.destroy();
+            if (!res.headersSent) res.status(502).json({ error: 'Manifiesto demasiado grande' });
+            return;
+        }
+        chunks.push(chunk);
+    });
+    proxyRes.on('end', () => {
+        if (res.headersSent) return;
+        const body = Buffer.from(rewriteManifest(Buffer.concat(chunks).toString('utf8'), parsed.href, trustedHost(parsed.hostname)), 'utf8');
+        res.writeHead(proxyRes.statusCode === 206 ? 200 : proxyRes.statusCode, {
+            'Content-Type': 'application/vnd.apple.mpegurl',
+            'Content-Length': body.length,
+            'Cache-Control': 'no-cache', // Playlists en vivo cambian constantemente
+            'X-Content-Type-Options': 'nosniff'
+        });
+        res.end(body);
+    });
+}
 
-let SERIES_LIST = [];
-let SERIES_INDEX = {};
-let TOTAL_EPISODES = 0;
+// ===== Tokens de reproducción firmados (HMAC) =====
+// Episodio: { s: serie, n: temporada, e: episodio }; URL derivada de un manifiesto: { u: url }
+const b64url = buf => Buffer.from(buf).toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+const hmac = data => b64url(crypto.createHmac('sha256', config.STREAM_SECRET).update(data).digest());
 
-function loadData() {
+function signToken(payload) {
+    const body = b64url(JSON.stringify(Object.assign({}, payload, { x: Date.now() + config.STREAM_TOKEN_TTL })));
+    return body + '.' + hmac(body);
+}
+
+function verifyToken(token) {
+    const [body, sig] = token.split('.');
+    if (!body || !sig || !safeEqual(sig, hmac(body))) return { error: 'Token inválido' };
+    let payload;
     try {
-        const jsonPath = path.join(__dirname, config.DATA_FILE);
-        if (!fs.existsSync(jsonPath)) return;
-        const data = JSON.parse(fs.readFileSync(jsonPath, 'utf8'));
-        if (!Array.isArray(data)) return;
-
-        TOTAL_EPISODES = data.length;
-        const map = {};
-        data.forEach(item => {
-            const name = item.series || 'Sin nombre';
-            const season = String(item.season || '1');
-            if (!map[name]) map[name] = { name, poster: item["logo serie"] || '', seasons: {}, count: 0 };
-            if (!map[name].seasons[season]) map[name].seasons[season] = [];
-            map[name].seasons[season].push({ ep: item.ep || 1, title: item.title || 'Episodio ' + (item.ep || 1), url: item.url || '' });
-            map[name].count++;
-        });
+        payload = JSON.parse(Buffer.from(body.replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    } catch (e) { return { error: 'Token inválido' }; }
+    if (!payload.x || payload.x < Date.now()) return { error: 'Token caducado' };
+    return payload;
+}
 
-        Object.values(map).forEach(s => Object.keys(s.seasons).forEach(k => s.seasons[k].sort((a, b) => a.ep - b.ep)));
-        SERIES_INDEX = map;
-        SERIES_LIST = Object.values(map).map(s => ({ name: s.name, poster: s.poster, seasons: Object.keys(s.seasons).length, count: s.count })).sort((a, b) => a.name.localeCompare(b.name));
-        console.log('[OK] ' + SERIES_LIST.length + ' series, ' + TOTAL_EPISODES + ' episodios');
-    } catch (e) { console.error('[ERROR]', e.message); }
+// ===== Protección SSRF: allowlist de hosts y bloqueo de redes privadas =====
+const PRIVATE_RANGES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+    ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+    .forEach(([net4, prefix]) => PRIVATE_RANGES.addSubnet(net4, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([net6, prefix]) => PRIVATE_RANGES.addSubnet(net6, prefix, 'ipv6'));
+
+// Hosts que aparecen dentro de manifiestos HLS ya servidos (CDNs de segmentos). Caducan con los tokens
+// que los nombran (cada recarga del manifiesto los renueva) y, como mucho, se guardan los DERIVED_HOSTS_MAX más recientes
+const DERIVED_HOSTS = new Map();
+const DERIVED_HOSTS_MAX = 200;
+
+function allowDerivedHost(host) {
+    host = host.toLowerCase();
+    DERIVED_HOSTS.delete(host);
+    DERIVED_HOSTS.set(host, Date.now() + config.STREAM_TOKEN_TTL);
+    if (DERIVED_HOSTS.size > DERIVED_HOSTS_MAX) DERIVED_HOSTS.delete(DERIVED_HOSTS.keys().next().value);
 }
 
-loadData();
+function isPrivateAddress(address) {
+    if (config.PROXY_ALLOW_PRIVATE) return false;
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) address = mapped[1];
+    const family = net.isIP(address);
+    if (!family) return true;
+    return PRIVATE_RANGES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
 
-// ===== OPTIMIZACIÓN 2: Headers CORS mejorados para streaming =====
-app.use((req, res, next) => { 
-    res.setHeader('Access-Control-Allow-Origin', '*');
-    res.setHeader('Access-Control-Allow-Methods', 'GET, HEAD, OPTIONS');
-    res.setHeader('Access-Control-Allow-Headers', 'Range, Content-Type, Accept');
-    res.setHeader('Access-Control-Expose-Headers', 'Content-Range, Accept-Ranges, Content-Length, Content-Type');
+function hostAllowed(host) {
+    host = host.toLowerCase();
+    const list = config.PROXY_ALLOWLIST.length ? config.PROXY_ALLOWLIST : [...CATALOG_HOSTS];
+    if (list.includes('*') || DERIVED_HOSTS.get(host) > Date.now()) return true;
+    return list.some(h => h === host || (h.startsWith('*.') && host.endsWith(h.slice(1))));
+}
 
-    if (req.method === 'OPTIONS') {
-        return res.sendStatus(204);
+// Los hosts del catálogo valen aunque PROXY_ALLOWLIST no los nombre: sus URLs las puso el administrador
+const trustedHost = host => CATALOG_HOSTS.has(host.toLowerCase()) || hostAllowed(host);
+
+// Una redirección también tiene que ir a un host de confianza; si no, un 30x abierto en un host del catálogo
+// serviría para que el proxy saliera a cualquier sitio
+function redirectDenied(next) {
+    if (['http:', 'https:'].includes(next.protocol) && !trustedHost(next.hostname)) return 'Redirección a host no permitido: ' + next.hostname;
+    return upstreamDenied(next, false);
+}
+
+function upstreamDenied(parsed, checkHost) {
+    if (!['http:', 'https:'].includes(parsed.protocol)) return 'Protocolo no permitido';
+    if (checkHost && !hostAllowed(parsed.hostname)) return 'Host no permitido: ' + parsed.hostname;
+    const literal = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(literal) && isPrivateAddress(literal)) return 'Dirección privada bloqueada';
+    return null;
+}
+
+// Se comprueba la IP resuelta justo antes de conectar, así un DNS que cambia de respuesta no sirve para colarse
+function safeLookup(hostname, options, cb) {
+    dns.lookup(hostname, options, (err, address, family) => {
+        if (err) return cb(err);
+        const list = Array.isArray(address) ? address : [{ address, family }];
+        if (list.some(a => isPrivateAddress(a.address))) {
+            const blocked = new Error('Dirección privada bloqueada: ' + hostname);
+            blocked.code = 'EBLOCKED';
+            return cb(blocked);
+        }
+        cb(null, address, family);
+    });
+}
+
+// ===== Pool de conexiones y salud por host de origen =====
+// Ordenados por último uso; por encima de UPSTREAM_MAX_HOSTS se olvidan los más antiguos que no estén en uso
+const UPSTREAM_AGENTS = new Map();
+const UPSTREAM_HEALTH = new Map();
+const UPSTREAM_MAX_HOSTS = 256;
+
+function touchHost(map, key, value) {
+    map.delete(key);
+    map.set(key, value);
+    if (map.size <= UPSTREAM_MAX_HOSTS) return;
+    const busy = map === UPSTREAM_AGENTS
+        ? a => Object.keys(a.sockets).length > 0
+        : h => h.downUntil > Date.now();
+    for (const [k, v] of map) {
+        if (map.size <= UPSTREAM_MAX_HOSTS) break;
+        if (k === key || busy(v)) continue;
+        map.delete(k);
+        if (map === UPSTREAM_AGENTS) v.destroy();
     }
-    next(); 
+}
+
+// Un agente keep-alive por host: los seeks reutilizan la conexión TLS en vez de abrir una nueva
+function agentFor(parsed) {
+    const key = parsed.protocol + '//' + parsed.host;
+    let agent = UPSTREAM_AGENTS.get(key);
+    if (!agent) {
+        const Agent = parsed.protocol === 'https:' ? https.Agent : http.Agent;
+        agent = new Agent({
+            keepAlive: true,
+            maxSockets: config.UPSTREAM_MAX_SOCKETS,
+            maxFreeSockets: config.UPSTREAM_MAX_FREE_SOCKETS,
+            timeout: 60000
+        });
+    }
+    touchHost(UPSTREAM_AGENTS, key, agent);
+    return agent;
+}
+
+function healthOf(host) {
+    const h = UPSTREAM_HEALTH.get(host) || { requests: 0, errors: 0, timeouts: 0, consecutiveErrors: 0, errorRate: 0, latency: null, lastSuccess: null, lastFailure: null, downUntil: 0, probeAt: 0 };
+    touchHost(UPSTREAM_HEALTH, host, h);
+    return h;
+}
+
+// errorRate y latency son medias móviles exponenciales, pesan más las últimas peticiones
+function recordUpstream(host, ok, info) {
+    const h = healthOf(host);
+    countUpstream(host, ok, !ok && info.timeout);
+    h.requests++;
+    h.probeAt = 0;
+    h.errorRate = h.errorRate * 0.9 + (ok ? 0 : 0.1);
+    if (ok) {
+        h.consecutiveErrors = 0;
+        h.downUntil = 0;
+        h.lastSuccess = Date.now();
+        h.latency = h.latency === null ? info.latency : Math.round(h.latency * 0.8 + info.latency * 0.2);
+        return;
+    }
+    h.errors++;
+    if (info.timeout) h.timeouts++;
+    h.consecutiveErrors++;
+    h.lastFailure = { at: Date.now(), message: info.message };
+    if (h.consecutiveErrors >= config.UPSTREAM_FAIL_THRESHOLD) h.downUntil = Date.now() + config.UPSTREAM_COOLDOWN;
+}
+
+function upstreamDown(host) {
+    const h = UPSTREAM_HEALTH.get(host);
+    return !!h && h.downUntil > Date.now();
+}
+
+// Pasado el enfriamiento se deja pasar una sola petición de prueba; el resto sigue con 503 hasta que responda.
+// Si la prueba falla vuelve a cerrarse; si se pierde sin registrar nada, a los UPSTREAM_COOLDOWN ms se admite otra
+function upstreamAdmit(host) {
+    const h = UPSTREAM_HEALTH.get(host);
+    if (!h || h.consecutiveErrors < config.UPSTREAM_FAIL_THRESHOLD) return true;
+    const now = Date.now();
+    if (h.downUntil > now || h.probeAt > now - config.UPSTREAM_COOLDOWN) return false;
+    h.probeAt = now;
+    return true;
+}
+
+app.get('/api/admin/upstreams', requireAdmin, (req, res) => {
+    const data = [...UPSTREAM_HEALTH].map(([host, h]) => {
+        const agents = [...UPSTREAM_AGENTS].filter(([key]) => key.endsWith('//' + host)).map(([, a]) => a);
+        const count = obj => Object.values(obj).reduce((n, list) => n + list.length, 0);
+        return Object.assign({ host, down: upstreamDown(host) }, h, {
+            errorRate: Math.round(h.errorRate * 1000) / 1000,
+            sockets: agents.reduce((n, a) => n + count(a.sockets), 0),
+            freeSockets: agents.reduce((n, a) => n + count(a.freeSockets), 0)
+        });
+    }).sort((a, b) => b.errorRate - a.errorRate || a.host.localeCompare(b.host));
+    res.json({ data });
 });
 
-app.get('/api/stats', (req, res) => res.json({ series: SERIES_LIST.length, episodes: TOTAL_EPISODES }));
+// ===== Archivos locales de la biblioteca =====
+// Mismo token que /video-proxy; sendFile resuelve Range/206, 416 y los If-* de caché
+app.get('/media', videoProxyLimiter, (req, res) => {
+    if (!req.query.t) return res.status(400).json({ error: 'Token requerido' });
+    const payload = verifyToken(String(req.query.t));
+    if (payload.error) return res.status(403).json({ error: payload.error });
+    const source = payload.u ? { status: 400, error: 'Token no válido' } : tokenSource(payload);
+    if (source.error) return res.status(source.status).json({ error: source.error });
+    const file = localPath(source.url);
+    if (!file) return res.status(400).json({ error: 'No es un archivo local' });
+    sendLibraryFile(res, file, MEDIA_TYPES[path.extname(file).toLowerCase()] || 'application/octet-stream', 3600);
+});
 
-app.get('/api/series', (req, res) => {
-    const page = parseInt(req.query.page) || 0;
-    const limit = parseInt(req.query.limit) || 250;
-    const search = (req.query.q || '').toLowerCase();
-    const random = req.query.random === 'true';
-    let list = [...SERIES_LIST];
-    if (search) list = list.filter(s => s.name.toLowerCase().includes(search));
-    if (random) for (let i = list.length - 1; i > 0; i--) { const j = Math.floor(Math.random() * (i + 1)); [list[i], list[j]] = [list[j], list[i]]; }
-    const start = page * limit;
-    res.json({ total: list.length, page, hasMore: start + limit < list.length, data: list.slice(start, start + limit) });
+// Pósters de la biblioteca (solo imágenes)
+app.get('/media-img', (req, res) => {
+    const file = localPath(String(req.query.p || ''));
+    const type = file && IMAGE_TYPES[path.extname(file).toLowerCase()];
+    if (!type) return res.status(404).json({ error: 'Imagen no encontrada' });
+    sendLibraryFile(res, file, type, 86400);
 });
 
-app.get('/api/series/:name', (req, res) => {
-    const series = SERIES_INDEX[decodeURIComponent(req.params.name)];
-    if (!series) return res.status(404).json({ error: 'No encontrada' });
-    res.json({ data: series });
+// Con las rutas reales tampoco se sale de la biblioteca por un enlace simbólico
+function libraryRealPath(file, cb) {
+    fs.realpath(sourcePath(config.MEDIA_DIR), (err, root) => fs.realpath(file, (err2, real) => {
+        if (err || err2) return cb(proxyError(404, 'Archivo no encontrado'));
+        if (!real.startsWith(root + path.sep)) return cb(proxyError(403, 'Ruta fuera de la biblioteca'));
+        cb(null, real);
+    }));
+}
+
+function sendLibraryFile(res, file, type, maxAge) {
+    libraryRealPath(file, (err, real) => {
+        if (err) return res.status(err.status).json({ error: err.message });
+        const headers = { 'Content-Type': type, 'Cache-Control': 'public, max-age=' + maxAge, 'X-Content-Type-Options': 'nosniff' };
+        res.sendFile(real, { headers, dotfiles: 'allow' }, err => {
+            if (err && !res.headersSent) res.status(err.status || 500).json({ error: err.status === 404 ? 'Archivo no encontrado' : 'Error leyendo el archivo' });
+        });
+    });
+}
+
+// ===== Subtítulos =====
+const SUBTITLE_MAX_BYTES = 2 * 1024 * 1024;
+
+// UTF-8 si decodifica sin errores; si no, Windows-1252 (muchos .srt en español vienen en Latin-1)
+function decodeSubtitle(buf) {
+    if (buf[0] === 0xFF && buf[1] === 0xFE) return buf.subarray(2).toString('utf16le');
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buf).replace(/^\uFEFF/, '');
+    } catch (e) {
+        return new TextDecoder('windows-1252').decode(buf);
+    }
+}
+
+function srtToVtt(text) {
+    text = text.replace(/\r\n?/g, '\n').trim();
+    if (/^WEBVTT/.test(text)) return text + '\n';
+    // Solo se tocan las líneas de tiempos: una hora como "10:30:00,5" dentro de un diálogo se deja como está
+    const cues = text.split('\n')
+        .map(line => line.includes('-->') ? line.replace(/(\d{1,2}):(\d{2}):(\d{2})[,.](\d{1,3})/g, (m, h, mm, ss, ms) => h.padStart(2, '0') + ':' + mm + ':' + ss + '.' + ms.padEnd(3, '0')) : line)
+        .join('\n')
+        .replace(/\{\\[^}]*\}/g, ''); // etiquetas ASS tipo {\an8}
+    return 'WEBVTT\n\n' + cues + '\n';
+}
+
+// Mismo token que /api/play con el índice del subtítulo; remotos pasan por las reglas del proxy, locales por la biblioteca
+app.get('/subtitles', (req, res) => {
+    const payload = verifyToken(String(req.query.t || ''));
+    if (payload.error) return res.status(403).json({ error: payload.error });
+    const episode = findEpisode(payload.s, payload.n, payload.e);
+    const sub = episode && episode.subtitles && episode.subtitles[payload.sub];
+    if (!sub) return res.status(404).json({ error: 'Subtítulo no encontrado' });
+
+    const send = (err, buf) => {
+        if (err) return res.status(err.status || 502).json({ error: err.message });
+        res.set({ 'Content-Type': 'text/vtt; charset=utf-8', 'Cache-Control': 'public, max-age=3600' });
+        res.send(srtToVtt(decodeSubtitle(buf)));
+    };
+    const file = localPath(sub.url);
+    if (file) {
+        return libraryRealPath(file, (err, real) => {
+            if (err) return send(err);
+            fs.stat(real, (err, st) => {
+                if (err) return send(proxyError(404, 'Archivo no encontrado'));
+                if (st.size > SUBTITLE_MAX_BYTES) return send(proxyError(413, 'Subtítulo demasiado grande'));
+                fs.readFile(real, (err, buf) => send(err && proxyError(500, 'Error leyendo el archivo'), buf));
+            });
+        });
+    }
+    const parsed = new URL(sub.url);
+    const denied = upstreamDenied(parsed, false);
+    if (denied) return res.status(403).json({ error: denied });
+    const check = upRes => upRes.statusCode >= 400 ? proxyError(502, 'HTTP ' + upRes.statusCode) : null;
+    fetchUpstream(parsed, { maxBytes: SUBTITLE_MAX_BYTES, check }, 0, (err, r) => send(err, r && r.body));
 });
 
 // ===== OPTIMIZACIÓN 3: Proxy de Video COMPLETAMENTE REESCRITO =====
+// ?t=<token> firmado por el servidor; ?url= en claro solo si ALLOW_RAW_URLS
 app.get('/video-proxy', videoProxyLimiter, (req, res) => {
-    const url = req.query.url;
-    if (!url) return res.status(400).json({ error: 'URL requerida' });
+    let url, signed = false, derived = false;
+    if (req.query.t) {
+        const payload = verifyToken(String(req.query.t));
+        if (payload.error) return res.status(403).json({ error: payload.error });
+        if (payload.u) {
+            url = payload.u;
+            derived = true;
+        }
+        else {
+            const source = tokenSource(payload);
+            if (source.error) return res.status(source.status).json({ error: source.error });
+            url = source.url;
+        }
+        signed = true;
+    } else if (req.query.url && config.ALLOW_RAW_URLS) {
+        url = decodeURIComponent(req.query.url);
+    } else {
+        return res.status(400).json({ error: 'Token requerido' });
+    }
 
     let parsed;
     try {
-        parsed = new URL(decodeURIComponent(url));
+        parsed = new URL(url);
     } catch (e) {
         return res.status(400).json({ error: 'URL inválida' });
     }
 
-    const client = parsed.protocol === 'https:' ? https : http;
+    // Un episodio firmado ya salió del catálogo; una URL de manifiesto tiene que seguir en un host de confianza
+    const denied = upstreamDenied(parsed, !signed) || (derived && !trustedHost(parsed.hostname) ? 'Host no permitido: ' + parsed.hostname : null);
+    if (denied) return res.status(403).json({ error: denied });
 
-    const opts = { 
+    const ctx = { upstream: null, closed: false };
+    // Cuando el cliente cierra la conexión
+    res.on('close', () => {
+        ctx.closed = true;
+        if (ctx.upstream) ctx.upstream.destroy();
+    });
+    // Los manifiestos se reescriben en cada petición; el resto puede salir de la caché
+    if (config.CACHE_DIR && !/\.m3u8?$/i.test(parsed.pathname)) return serveCached(req, res, parsed, ctx);
+    proxyUpstream(req, res, parsed, 0, ctx);
+});
+
+function upstreamOptions(parsed, lang) {
+    return { 
         hostname: parsed.hostname, 
         port: parsed.port || (parsed.protocol === 'https:' ? 443 : 80), 
         path: parsed.pathname + parsed.search, 
         method: 'GET',
+        agent: agentFor(parsed),
+        lookup: safeLookup,
         timeout: 30000, // 30 segundos timeout
         headers: { 
             'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0.0.0 Safari/537.36',
             'Accept': '*/*',
-            'Accept-Language': 'es-ES,es;q=0.9,en;q=0.8',
+            'Accept-Language': lang ? lang + ',' + config.PROXY_ACCEPT_LANGUAGE : config.PROXY_ACCEPT_LANGUAGE,
             'Accept-Encoding': 'identity', // Sin compresión para video
             'Connection': 'keep-alive',
             'Referer': parsed.origin + '/'
         } 
     };
+}
+
+// Las redirecciones se siguen en el servidor (con límite) y cada salto pasa otra vez por el bloqueo de IPs
+function proxyUpstream(req, res, parsed, redirects, ctx) {
+    const client = parsed.protocol === 'https:' ? https : http;
+    const host = parsed.host;
+    if (!upstreamAdmit(host)) return res.status(503).json({ error: 'Upstream no disponible', host });
+    const started = Date.now();
+    let timedOut = false;
+
+    const opts = upstreamOptions(parsed, prefsOf(req).audio);
 
     // ===== CRÍTICO: Pasar Range header para streaming =====
-    if (req.headers.range) {
+    if (req.headers.range && !/\.m3u8?$/i.test(parsed.pathname)) {
         opts.headers['Range'] = req.headers.range;
     }
 
     const proxyReq = client.request(opts, proxyRes => {
+        const ok = proxyRes.statusCode < 500;
+        recordUpstream(host, ok, { latency: Date.now() - started, message: 'HTTP ' + proxyRes.statusCode });
+
         // Manejar redirects
         if ([301, 302, 303, 307, 308].includes(proxyRes.statusCode) && proxyRes.headers.location) {
-            // Limpiar listeners para evitar memory leak
-            proxyRes.destroy();
-            return res.redirect('/video-proxy?url=' + encodeURIComponent(proxyRes.headers.location));
+            // Descartar el cuerpo para que el socket vuelva al pool
+            proxyRes.resume();
+            if (redirects >= config.PROXY_MAX_REDIRECTS) return res.status(502).json({ error: 'Demasiadas redirecciones' });
+            let next;
+            try { next = new URL(proxyRes.headers.location, parsed); } catch (e) { return res.status(502).json({ error: 'Redirección inválida' }); }
+            const denied = redirectDenied(next);
+            if (denied) return res.status(403).json({ error: denied });
+            return proxyUpstream(req, res, next, redirects + 1, ctx);
+        }
+
+        // Manifiestos HLS: se reescriben en memoria en vez de hacer pipe
+        if (proxyRes.statusCode < 400 && isHlsManifest(parsed, proxyRes.headers['content-type'])) {
+            proxyRes.on('error', (err) => {
+                console.error('[PROXY HLS ERROR]', err.message);
+                if (!res.headersSent) res.status(502).json({ error: 'Stream error' });
+            });
+            return sendManifest(proxyRes, res, parsed);
         }
 
         // Headers de respuesta optimizados para streaming
@@ -175,7 +2234,9 @@ app.get('/video-proxy', videoProxyLimiter, (req, res) => {
         res.writeHead(statusCode, headers);
 
         // ===== CRÍTICO: Streaming directo sin buffering completo =====
+        streamStarted(res);
         proxyRes.pipe(res, { end: true });
+        proxyRes.on('data', chunk => countBytes(host, chunk.length));
 
         // Manejo de errores en el stream
         proxyRes.on('error', (err) => {
@@ -191,6 +2252,8 @@ app.get('/video-proxy', videoProxyLimiter, (req, res) => {
     // Timeout
     proxyReq.on('timeout', () => {
         console.error('[PROXY TIMEOUT]');
+        timedOut = true;
+        recordUpstream(host, false, { timeout: true, message: 'Timeout' });
         proxyReq.destroy();
         if (!res.headersSent) {
             res.status(504).json({ error: 'Timeout' });
@@ -200,17 +2263,616 @@ app.get('/video-proxy', videoProxyLimiter, (req, res) => {
     // Error de conexión
     proxyReq.on('error', (err) => {
         console.error('[PROXY ERROR]', err.message);
+        // Los abortos por cierre del cliente o timeout (ya contado) no son culpa del host
+        if (err.code !== 'EBLOCKED' && !timedOut && !ctx.closed) recordUpstream(host, false, { message: err.message });
         if (!res.headersSent) {
-            res.status(502).json({ error: 'Connection error' });
+            if (err.code === 'EBLOCKED') res.status(403).json({ error: 'Dirección privada bloqueada' });
+            else res.status(502).json({ error: 'Connection error' });
         }
     });
 
-    // Cuando el cliente cierra la conexión
-    req.on('close', () => {
-        proxyReq.destroy();
+    ctx.upstream = proxyReq;
+    proxyReq.end();
+}
+
+// ===== Caché de rangos en disco =====
+// Cada URL se guarda en bloques de CACHE_CHUNK bytes (CACHE_DIR/<sha1>/<n>) más meta.json con tamaño y tipo;
+// los bloques se expulsan por LRU (el orden de inserción del Map) al pasar de CACHE_MAX_SIZE, y con el último de una URL
+// se van también sus metadatos y su carpeta. keys lleva la cuenta de bloques por URL
+const CACHE = { meta: new Map(), chunks: new Map(), keys: new Map(), size: 0, pending: new Map(), writing: new Map(), uncacheable: new Set() };
+const CACHE_UNCACHEABLE_MAX = 1000;
+
+// El idioma de audio del perfil va en el Accept-Language y el origen puede servir otra pista según él
+const cacheKey = (parsed, lang) => crypto.createHash('sha1').update(lang ? parsed.href + '\n' + lang : parsed.href).digest('hex');
+const cacheFile = (key, name) => path.join(sourcePath(config.CACHE_DIR), key, String(name));
+const proxyError = (status, message, extra) => Object.assign(new Error(message), { status }, extra);
+
+function initCache() {
+    if (!config.CACHE_DIR) return;
+    const dir = sourcePath(config.CACHE_DIR);
+    fs.mkdirSync(dir, { recursive: true });
+    const found = [];
+    fs.readdirSync(dir).forEach(key => {
+        let meta;
+        try { meta = JSON.parse(fs.readFileSync(cacheFile(key, 'meta.json'), 'utf8')); } catch (e) { meta = null; }
+        // Sin metadatos o con otro tamaño de bloque no se puede aprovechar
+        if (!meta || meta.chunk !== config.CACHE_CHUNK) return fs.rmSync(path.join(dir, key), { recursive: true, force: true });
+        CACHE.meta.set(key, meta);
+        fs.readdirSync(path.join(dir, key)).filter(f => /^\d+$/.test(f)).forEach(f => {
+            const st = fs.statSync(cacheFile(key, f));
+            found.push({ id: key + '/' + f, bytes: st.size, mtime: st.mtimeMs });
+        });
+    });
+    found.sort((a, b) => a.mtime - b.mtime).forEach(c => trackChunk(c.id, c.bytes));
+    // Una URL sin bloques solo ocupa una carpeta con su meta.json
+    [...CACHE.meta.keys()].filter(key => !CACHE.keys.has(key)).forEach(dropCacheEntry);
+    evictCache();
+    console.log('[CACHE] ' + CACHE.chunks.size + ' bloques, ' + Math.round(CACHE.size / 1048576) + ' MB en ' + config.CACHE_DIR);
+}
+
+// Alta de un bloque o, si ya estaba, paso al final del LRU con su tamaño nuevo
+function trackChunk(id, bytes) {
+    const prev = CACHE.chunks.get(id);
+    if (prev === undefined) {
+        const key = id.split('/')[0];
+        CACHE.keys.set(key, (CACHE.keys.get(key) || 0) + 1);
+    } else {
+        CACHE.chunks.delete(id);
+    }
+    CACHE.size += bytes - (prev || 0);
+    CACHE.chunks.set(id, bytes);
+}
+
+// Devuelve true si era el último bloque de su URL
+function untrackChunk(id) {
+    const bytes = CACHE.chunks.get(id);
+    if (bytes === undefined) return false;
+    CACHE.chunks.delete(id);
+    CACHE.size -= bytes;
+    const key = id.split('/')[0];
+    const left = CACHE.keys.get(key) - 1;
+    if (left > 0) CACHE.keys.set(key, left);
+    else CACHE.keys.delete(key);
+    return left <= 0;
+}
+
+function evictCache() {
+    for (const id of CACHE.chunks.keys()) {
+        if (CACHE.size <= config.CACHE_MAX_SIZE) break;
+        const [key, n] = id.split('/');
+        if (untrackChunk(id)) dropCacheEntry(key);
+        else fs.unlink(cacheFile(key, n), () => {});
+    }
+}
+
+function dropCacheEntry(key) {
+    CACHE.meta.delete(key);
+    if (CACHE.keys.has(key)) {
+        for (const id of CACHE.chunks.keys()) if (id.startsWith(key + '/')) untrackChunk(id);
+    }
+    fs.rm(path.join(sourcePath(config.CACHE_DIR), key), { recursive: true, force: true }, () => {});
+}
+
+function storeChunk(key, n, buf) {
+    const file = cacheFile(key, n);
+    const tmp = file + '.tmp';
+    const id = key + '/' + n;
+    // Mientras se escribe, los lectores que lleguen lo toman de memoria
+    CACHE.writing.set(id, buf);
+    fs.mkdir(path.dirname(file), { recursive: true }, () => fs.writeFile(tmp, buf, err => {
+        if (err) {
+            CACHE.writing.delete(id);
+            return console.error('[CACHE]', err.message);
+        }
+        fs.rename(tmp, file, err => {
+            CACHE.writing.delete(id);
+            if (err || !CACHE.meta.has(key)) return fs.unlink(err ? tmp : file, () => {});
+            trackChunk(id, buf.length);
+            evictCache();
+        });
+    }));
+}
+
+// Petición al origen con las mismas reglas que el proxy (pool, IPs, redirecciones y salud del host), con el cuerpo en memoria.
+// options: method, range, lang (idioma de audio preferido), maxBytes, check(upRes), que puede devolver un error para descartar la respuesta sin leerla,
+// y probe, que deja la petición fuera del circuit breaker: ni la corta un host caído ni cuenta para su salud
+function fetchUpstream(parsed, options, redirects, cb) {
+    const host = parsed.host;
+    if (!options.probe && !upstreamAdmit(host)) return cb(proxyError(503, 'Upstream no disponible'));
+    const record = (ok, info) => { if (!options.probe) recordUpstream(host, ok, info); };
+    const started = Date.now();
+    let timedOut = false, done = false;
+    const finish = (err, result) => { if (!done) { done = true; cb(err, result); } };
+
+    const opts = upstreamOptions(parsed, options.lang);
+    if (options.method) opts.method = options.method;
+    if (options.range) opts.headers['Range'] = options.range;
+    const upReq = (parsed.protocol === 'https:' ? https : http).request(opts, upRes => {
+        record(upRes.statusCode < 500, { latency: Date.now() - started, message: 'HTTP ' + upRes.statusCode });
+        if ([301, 302, 303, 307, 308].includes(upRes.statusCode) && upRes.headers.location) {
+            upRes.resume();
+            if (redirects >= config.PROXY_MAX_REDIRECTS) return finish(proxyError(502, 'Demasiadas redirecciones'));
+            let next;
+            try { next = new URL(upRes.headers.location, parsed); } catch (e) { return finish(proxyError(502, 'Redirección inválida')); }
+            const denied = redirectDenied(next);
+            if (denied) return finish(proxyError(403, denied));
+            return fetchUpstream(next, options, redirects + 1, finish);
+        }
+        const rejected = options.check && options.check(upRes);
+        if (rejected) {
+            upRes.resume();
+            return finish(rejected);
+        }
+        const parts = [];
+        let bytes = 0;
+        upRes.on('data', c => {
+            bytes += c.length;
+            countBytes(host, c.length);
+            if (options.maxBytes && bytes > options.maxBytes) {
+                upReq.destroy();
+                return finish(proxyError(502, 'Respuesta demasiado grande', { statusCode: upRes.statusCode }));
+            }
+            parts.push(c);
+        });
+        upRes.on('end', () => finish(null, { statusCode: upRes.statusCode, headers: upRes.headers, body: Buffer.concat(parts) }));
+        upRes.on('error', err => finish(proxyError(502, err.message)));
+    });
+    upReq.on('timeout', () => {
+        timedOut = true;
+        record(false, { timeout: true, message: 'Timeout' });
+        upReq.destroy();
+        finish(proxyError(504, 'Timeout'));
+    });
+    upReq.on('error', err => {
+        if (err.code !== 'EBLOCKED' && !timedOut) record(false, { message: err.message });
+        finish(err.code === 'EBLOCKED' ? proxyError(403, 'Dirección privada bloqueada') : proxyError(502, 'Connection error'));
+    });
+    upReq.end();
+}
+
+// Si el origen no responde con 206 el error lleva bypass para servir sin caché
+function fetchRange(parsed, lang, start, end, cb) {
+    const check = upRes => {
+        if (upRes.statusCode === 206 && !isHlsManifest(parsed, upRes.headers['content-type'])) return null;
+        // Un 200 a una petición con Range es un origen sin soporte de rangos: no se vuelve a intentar
+        return proxyError(502, 'HTTP ' + upRes.statusCode, { bypass: true, uncacheable: upRes.statusCode === 200 });
+    };
+    fetchUpstream(parsed, { range: 'bytes=' + start + '-' + end, lang, check }, 0, cb);
+}
+
+// ===== Enlaces muertos =====
+// El estado se guarda por URL (un póster o un espejo se repiten entre episodios); un episodio está roto si no le queda ninguna fuente viva
+const linkHealth = jsonStore(config.LINK_HEALTH_FILE, { urls: {}, lastRun: null });
+const LINKS = { running: false, checked: 0, total: 0 };
+const MEDIA_IMG = '/media-img?p=';
+const linkStatus = url => linkHealth.data.urls[url] || null;
+const episodeBroken = episode => episodeSources(episode).every(src => { const st = linkStatus(src.url); return st && !st.ok; });
+
+// Fuentes de todos los episodios y pósters que se pueden comprobar
+function linkTargets() {
+    const urls = new Set();
+    Object.values(SERIES_INDEX).forEach(s => {
+        if (s.poster && (httpUrl(s.poster) || s.poster.startsWith(MEDIA_IMG))) urls.add(s.poster);
+        Object.values(s.seasons).forEach(eps => eps.forEach(e => episodeSources(e).forEach(src => urls.add(src.url))));
+    });
+    return [...urls];
+}
+
+// HEAD primero; si el origen no lo acepta, un Range de 1 KB (maxBytes corta a quien ignore el Range)
+function probeLink(url, cb) {
+    if (isLocalUrl(url)) {
+        const local = localPath(url.startsWith(MEDIA_IMG) ? decodeURIComponent(url.slice(MEDIA_IMG.length)) : url);
+        if (!local) return cb({ ok: false, code: 403, message: 'Fuera de MEDIA_DIR' });
+        return fs.stat(local, (err, st) => cb(err || !st.isFile() ? { ok: false, code: 404, message: 'Archivo no encontrado' } : { ok: true, code: 200 }));
+    }
+    let parsed;
+    try { parsed = new URL(url); } catch (e) { return cb({ ok: false, code: 400, message: 'URL inválida' }); }
+    const denied = upstreamDenied(parsed, false);
+    if (denied) return cb({ ok: false, code: 403, message: denied });
+
+    const result = (err, r) => {
+        const code = r ? r.statusCode : err.statusCode || err.status;
+        if (code >= 200 && code < 300) return { ok: true, code };
+        // 5xx, timeouts y cortes se reintentan; un 4xx es definitivo
+        return { ok: false, code, message: err ? err.message : 'HTTP ' + code, transient: !code || code >= 500 };
+    };
+    fetchUpstream(parsed, { method: 'HEAD', probe: true }, 0, (err, r) => {
+        const head = result(err, r);
+        if (head.ok || [404, 410].includes(head.code) || head.transient) return cb(head);
+        fetchUpstream(parsed, { range: 'bytes=0-1023', maxBytes: 64 * 1024, probe: true }, 0, (err2, r2) => cb(result(err2, r2)));
+    });
+}
+
+function checkLink(url, attempt, cb) {
+    probeLink(url, st => {
+        if (!st.ok && st.transient && attempt < config.LINK_CHECK_RETRIES) return setTimeout(() => checkLink(url, attempt + 1, cb), 2000 * (attempt + 1));
+        const prev = linkStatus(url);
+        const entry = { ok: st.ok, code: st.code, checkedAt: Date.now() };
+        if (!st.ok) Object.assign(entry, { message: st.message, since: prev && !prev.ok ? prev.since : entry.checkedAt });
+        linkHealth.data.urls[url] = entry;
+        cb(entry);
+    });
+}
+
+// Recorre el catálogo con LINK_CHECK_CONCURRENCY peticiones a la vez; false si ya hay una pasada en marcha
+function runLinkCheck() {
+    if (LINKS.running) return false;
+    const urls = linkTargets();
+    const startedAt = Date.now();
+    let next = 0, active = 0, broken = 0;
+    Object.assign(LINKS, { running: true, checked: 0, total: urls.length });
+
+    const finish = () => {
+        const keep = new Set(urls);
+        Object.keys(linkHealth.data.urls).forEach(u => { if (!keep.has(u)) delete linkHealth.data.urls[u]; });
+        linkHealth.data.lastRun = { startedAt, finishedAt: Date.now(), checked: urls.length, broken };
+        linkHealth.save();
+        LINKS.running = false;
+        console.log('[LINKS] ' + urls.length + ' enlaces comprobados, ' + broken + ' rotos');
+    };
+    const pump = () => {
+        if (next >= urls.length && !active) return finish();
+        while (active < config.LINK_CHECK_CONCURRENCY && next < urls.length) {
+            active++;
+            checkLink(urls[next++], 0, entry => {
+                active--;
+                LINKS.checked++;
+                if (!entry.ok) broken++;
+                pump();
+            });
+        }
+    };
+    pump();
+    return true;
+}
+
+// Node no admite temporizadores de más de 2^31-1 ms (~596 h): por encima los ejecuta a 1 ms
+const MAX_TIMER = 2 ** 31 - 1;
+
+function scheduleLinkCheck() {
+    const hours = config.LINK_CHECK_INTERVAL;
+    if (!hours) return;
+    if (!Number.isFinite(hours) || hours < 0) {
+        console.warn('[WARN] LINK_CHECK_INTERVAL inválido (' + hours + '), comprobación de enlaces desactivada');
+        return;
+    }
+    const every = Math.min(hours * 3600 * 1000, MAX_TIMER);
+    if (every < hours * 3600 * 1000) console.warn('[WARN] LINK_CHECK_INTERVAL se limita a ' + Math.floor(MAX_TIMER / 3600000) + ' h');
+    // La primera pasada espera un poco para no competir con el arranque
+    setTimeout(runLinkCheck, 60 * 1000);
+    setInterval(runLinkCheck, every);
+}
+
+// Episodios sin ninguna fuente viva, episodios con algún espejo caído y pósters rotos
+app.get('/api/admin/link-health', requireAdmin, (req, res) => {
+    const failing = url => { const st = linkStatus(url); return st && !st.ok ? Object.assign({ url }, st) : null; };
+    const episodes = [], degraded = [], posters = [];
+    Object.values(SERIES_INDEX).forEach(s => {
+        const poster = s.poster && failing(s.poster);
+        if (poster) posters.push(Object.assign({ series: s.name }, poster));
+        Object.keys(s.seasons).forEach(season => s.seasons[season].forEach(e => {
+            const sources = episodeSources(e).map((src, i) => Object.assign({ label: src.label || (i ? 'Espejo ' + i : 'Principal') }, failing(src.url))).filter(src => src.url);
+            if (!sources.length) return;
+            (episodeBroken(e) ? episodes : degraded).push({ series: s.name, season, ep: e.ep, title: e.title, sources });
+        }));
+    });
+    res.json({
+        running: LINKS.running,
+        progress: LINKS.running ? { checked: LINKS.checked, total: LINKS.total } : null,
+        lastRun: linkHealth.data.lastRun,
+        broken: { episodes, degraded, posters }
     });
+});
+
+// Lanza una pasada ya, sin esperar a LINK_CHECK_INTERVAL
+app.post('/api/admin/link-health', requireAdmin, (req, res) => {
+    if (!runLinkCheck()) return res.status(409).json({ error: 'Ya hay una comprobación en curso', checked: LINKS.checked, total: LINKS.total });
+    res.status(202).json({ ok: true, total: LINKS.total });
+});
+
+// ===== Pósters: /img-proxy =====
+// Se piden por nombre de serie, así el cliente nunca elige qué URL se descarga. Sin sharp se guardan y sirven tal cual
+let sharp = null;
+try { sharp = require('sharp'); } catch (e) { console.warn('[IMG] sharp no disponible: los pósters se sirven sin redimensionar'); }
+
+const IMG_MAX_BYTES = 10 * 1024 * 1024;
+const IMG_RETRY_AFTER = 10 * 60 * 1000;
+const IMG_EXT = { 'image/jpeg': '.jpg', 'image/png': '.png', 'image/webp': '.webp', 'image/gif': '.gif', 'image/avif': '.avif' };
+const IMG_FAILED_MAX = 1000;
+// files: clave -> { file, bytes } en orden LRU, como los bloques de la caché de rangos
+const IMG = { pending: new Map(), failed: new Map(), files: new Map(), size: 0 };
+
+const imgKey = poster => crypto.createHash('sha1').update(poster + '|' + config.IMG_WIDTH + '|' + (sharp ? 'webp' : 'raw')).digest('hex');
+
+function initImgCache() {
+    const dir = sourcePath(config.IMG_CACHE_DIR);
+    if (!fs.existsSync(dir)) return;
+    const exts = sharp ? ['.webp'] : Object.values(IMG_EXT);
+    const found = [];
+    fs.readdirSync(dir, { withFileTypes: true }).filter(d => d.isFile()).forEach(d => {
+        const file = path.join(dir, d.name);
+        const m = /^([0-9a-f]{40})(\.\w+)$/.exec(d.name);
+        // Escrituras a medias o pósters del otro modo (con o sin sharp), que ya no se van a pedir
+        if (d.name.endsWith('.tmp') || (m && !exts.includes(m[2]))) return fs.rmSync(file, { force: true });
+        if (!m) return;
+        const st = fs.statSync(file);
+        found.push({ key: m[1], file, bytes: st.size, mtime: st.mtimeMs });
+    });
+    found.sort((a, b) => a.mtime - b.mtime).forEach(f => trackImage(f.key, f.file, f.bytes));
+    console.log('[IMG] ' + IMG.files.size + ' pósters, ' + Math.round(IMG.size / 1048576) + ' MB en ' + config.IMG_CACHE_DIR);
+}
+
+function trackImage(key, file, bytes) {
+    const prev = IMG.files.get(key);
+    if (prev) IMG.size -= prev.bytes;
+    IMG.files.delete(key);
+    IMG.files.set(key, { file, bytes });
+    IMG.size += bytes;
+    for (const old of IMG.files.keys()) {
+        if (IMG.size <= config.IMG_CACHE_MAX_SIZE || old === key) break;
+        dropImage(old);
+    }
+}
+
+function dropImage(key) {
+    const entry = IMG.files.get(key);
+    if (!entry) return;
+    IMG.files.delete(key);
+    IMG.size -= entry.bytes;
+    fs.unlink(entry.file, () => {});
+}
+
+// Tras cada publicación del catálogo: fuera los pósters (y los fallos recordados) de series que ya no están
+function pruneImgCache() {
+    const posters = new Set(Object.values(SERIES_INDEX).map(s => s.poster).filter(Boolean));
+    const keep = new Set([...posters].map(imgKey));
+    [...IMG.files.keys()].filter(key => !keep.has(key)).forEach(dropImage);
+    [...IMG.failed.keys()].filter(poster => !posters.has(poster)).forEach(poster => IMG.failed.delete(poster));
+}
+
+function cachedPoster(key) {
+    const hit = IMG.files.get(key);
+    if (!hit) return null;
+    IMG.files.delete(key);
+    IMG.files.set(key, hit);
+    return hit.file;
+}
+
+if (!SCAN_CLI) initImgCache();
+
+function posterFailed(poster) {
+    IMG.failed.delete(poster);
+    IMG.failed.set(poster, Date.now() + IMG_RETRY_AFTER);
+    if (IMG.failed.size > IMG_FAILED_MAX) IMG.failed.delete(IMG.failed.keys().next().value);
+}
+
+// Original del póster: de la biblioteca (/media-img) o del host del catálogo
+function fetchPoster(poster, cb) {
+    if (poster.startsWith(MEDIA_IMG)) {
+        const file = localPath(decodeURIComponent(poster.slice(MEDIA_IMG.length)));
+        const type = file && IMAGE_TYPES[path.extname(file).toLowerCase()];
+        if (!type) return cb(proxyError(404, 'Imagen no encontrada'));
+        return libraryRealPath(file, (err, real) => err ? cb(err) : fs.readFile(real, (err2, body) => cb(err2, body, type)));
+    }
+    if (!httpUrl(poster)) return cb(proxyError(400, 'URL de póster no válida'));
+    const parsed = new URL(poster);
+    const denied = upstreamDenied(parsed, false);
+    if (denied) return cb(proxyError(403, denied));
+    const typeOf = upRes => String(upRes.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    const check = upRes => (upRes.statusCode === 200 && typeOf(upRes).startsWith('image/') ? null : proxyError(502, 'HTTP ' + upRes.statusCode + ' ' + typeOf(upRes)));
+    fetchUpstream(parsed, { maxBytes: IMG_MAX_BYTES, check }, 0, (err, r) => cb(err, r && r.body, r && r.headers['content-type'].split(';')[0].trim().toLowerCase()));
+}
+
+// Recorte a 2:3 y WebP; devuelve la extensión con la que se guarda
+function renderPoster(body, type, cb) {
+    if (!sharp) return IMG_EXT[type] ? cb(null, body, IMG_EXT[type]) : cb(proxyError(415, 'Formato no soportado: ' + type));
+    sharp(body)
+        .resize(config.IMG_WIDTH, Math.round(config.IMG_WIDTH * 1.5), { fit: 'cover', position: 'attention' })
+        .webp({ quality: 75 })
+        .toBuffer((err, out) => cb(err, out, '.webp'));
+}
+
+// Varias tarjetas con el mismo póster esperan a una sola descarga
+function buildPoster(poster, key, cb) {
+    if (IMG.pending.has(key)) return IMG.pending.get(key).push(cb);
+    IMG.pending.set(key, [cb]);
+    const done = (err, file) => {
+        const waiting = IMG.pending.get(key);
+        IMG.pending.delete(key);
+        waiting.forEach(fn => fn(err, file));
+    };
+    fetchPoster(poster, (err, body, type) => {
+        if (err) return done(err);
+        renderPoster(body, type, (err2, out, ext) => {
+            if (err2) return done(err2);
+            const file = path.join(sourcePath(config.IMG_CACHE_DIR), key + ext);
+            fs.mkdir(path.dirname(file), { recursive: true }, () => fs.writeFile(file + '.tmp', out, err3 => {
+                if (err3) return done(err3);
+                fs.rename(file + '.tmp', file, err4 => {
+                    if (!err4) trackImage(key, file, out.length);
+                    done(err4, file);
+                });
+            }));
+        });
+    });
+}
+
+// Iniciales sobre un color fijo para cada nombre
+function placeholderSvg(name) {
+    const initials = String(name).split(/\s+/).map(w => (w.match(/[\p{L}\p{N}]/u) || [''])[0]).filter(Boolean).slice(0, 2).join('').toUpperCase() || '?';
+    const color = AVATAR_COLORS[crypto.createHash('md5').update(String(name)).digest()[0] % AVATAR_COLORS.length];
+    return '<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 200 300" width="' + config.IMG_WIDTH + '" height="' + Math.round(config.IMG_WIDTH * 1.5) + '">' +
+        '<rect width="200" height="300" fill="' + color + '"/>' +
+        '<text x="100" y="150" dy=".35em" text-anchor="middle" font-family="system-ui,sans-serif" font-size="72" font-weight="700" fill="#fff" fill-opacity=".85">' + initials + '</text></svg>';
+}
+
+function sendPlaceholder(res, name) {
+    res.setHeader('Content-Type', 'image/svg+xml');
+    // Caché corta: cuando se arregle el póster tiene que verse pronto
+    res.setHeader('Cache-Control', 'public, max-age=600');
+    res.send(placeholderSvg(name));
+}
+
+app.get('/img-proxy', (req, res) => {
+    const name = String(req.query.s || '');
+    const series = SERIES_INDEX[name];
+    const poster = series && series.poster;
+    const status = poster && linkStatus(poster);
+    // Sin póster, marcado como roto por la comprobación de enlaces o fallido hace poco: directo al marcador
+    if (!poster || (status && !status.ok) || IMG.failed.get(poster) > Date.now()) return sendPlaceholder(res, name);
+
+    const key = imgKey(poster);
+    const cached = cachedPoster(key);
+    if (cached) return res.sendFile(cached, { maxAge: '1d', headers: { 'X-Cache': 'HIT' } }, err => {
+        // Borrado a mano del disco: se olvida y la próxima vez se vuelve a generar
+        if (!err) return;
+        dropImage(key);
+        if (!res.headersSent) sendPlaceholder(res, name);
+    });
+    buildPoster(poster, key, (err, file) => {
+        if (err) {
+            posterFailed(poster);
+            console.warn('[IMG]', name, err.message);
+            return sendPlaceholder(res, name);
+        }
+        IMG.failed.delete(poster);
+        res.sendFile(file, { maxAge: '1d', headers: { 'X-Cache': 'MISS' } });
+    });
+});
+
+// Bloque n de una URL: del disco si está, si no del origen. Varios lectores del mismo bloque comparten la petición
+function getChunk(key, parsed, lang, n, cb) {
+    const id = key + '/' + n;
+    if (CACHE.chunks.has(id)) {
+        trackChunk(id, CACHE.chunks.get(id));
+        return fs.readFile(cacheFile(key, n), (err, buf) => {
+            if (!err) return cb(null, buf);
+            // Expulsado mientras tanto: se vuelve a pedir
+            untrackChunk(id);
+            getChunk(key, parsed, lang, n, cb);
+        });
+    }
+    if (CACHE.writing.has(id)) return cb(null, CACHE.writing.get(id));
+
+    if (CACHE.pending.has(id)) return CACHE.pending.get(id).push(cb);
+    CACHE.pending.set(id, [cb]);
+    const done = (err, buf) => {
+        const waiting = CACHE.pending.get(id);
+        CACHE.pending.delete(id);
+        waiting.forEach(fn => fn(err, buf));
+    };
+
+    const start = n * config.CACHE_CHUNK;
+    fetchRange(parsed, lang, start, start + config.CACHE_CHUNK - 1, (err, r) => {
+        if (err) return done(err);
+        const m = /\/(\d+)\s*$/.exec(r.headers['content-range'] || '');
+        const total = m ? Number(m[1]) : 0;
+        if (!total) return done(proxyError(502, 'Tamaño desconocido', { bypass: true, uncacheable: true }));
+        const meta = CACHE.meta.get(key);
+        // Si el archivo cambió en el origen lo guardado ya no sirve
+        if (meta && meta.total !== total) {
+            dropCacheEntry(key);
+            return done(proxyError(502, 'El archivo cambió en el origen', { bypass: true }));
+        }
+        if (r.body.length !== Math.min(config.CACHE_CHUNK, total - start)) return done(proxyError(502, 'Rango incompleto'));
+        if (!meta) {
+            const info = { url: parsed.href, total, type: r.headers['content-type'] || 'video/mp4', chunk: config.CACHE_CHUNK };
+            CACHE.meta.set(key, info);
+            fs.mkdir(path.dirname(cacheFile(key, 'meta.json')), { recursive: true }, () => fs.writeFile(cacheFile(key, 'meta.json'), JSON.stringify(info), () => {}));
+        }
+        storeChunk(key, n, r.body);
+        done(null, r.body);
+    });
+}
+
+// Solo el primer rango de "bytes=a-b", "bytes=a-" o "bytes=-n"; null si no se puede satisfacer
+function parseRange(header, total) {
+    const m = /^bytes=(\d*)-(\d*)/.exec(header || '');
+    if (!m || (!m[1] && !m[2])) return { start: 0, end: total - 1, partial: false };
+    const start = m[1] ? Number(m[1]) : Math.max(0, total - Number(m[2]));
+    const end = m[1] && m[2] ? Math.min(Number(m[2]), total - 1) : total - 1;
+    return start <= end ? { start, end, partial: true } : null;
+}
+
+function serveCached(req, res, parsed, ctx) {
+    const lang = prefsOf(req).audio;
+    const key = cacheKey(parsed, lang);
+    if (CACHE.uncacheable.has(key)) return proxyUpstream(req, res, parsed, 0, ctx);
+
+    const fail = err => {
+        if (ctx.closed) return;
+        if (res.headersSent) return res.destroy();
+        if (err.bypass) {
+            if (err.uncacheable) {
+                CACHE.uncacheable.add(key);
+                if (CACHE.uncacheable.size > CACHE_UNCACHEABLE_MAX) CACHE.uncacheable.delete(CACHE.uncacheable.values().next().value);
+            }
+            return proxyUpstream(req, res, parsed, 0, ctx);
+        }
+        res.status(err.status || 502).json({ error: err.message });
+    };
+
+    const send = meta => {
+        const range = parseRange(req.headers.range, meta.total);
+        if (!range) {
+            res.writeHead(416, { 'Content-Range': 'bytes */' + meta.total });
+            return res.end();
+        }
+        const size = config.CACHE_CHUNK;
+        const first = Math.floor(range.start / size), last = Math.floor(range.end / size);
+        let hit = true;
+        for (let n = first; n <= last && hit; n++) hit = CACHE.chunks.has(key + '/' + n);
+
+        const headers = {
+            'Content-Type': meta.type,
+            'Accept-Ranges': 'bytes',
+            'Cache-Control': 'public, max-age=3600',
+            'X-Content-Type-Options': 'nosniff',
+            'Content-Length': range.end - range.start + 1,
+            'X-Cache': hit ? 'HIT' : 'MISS'
+        };
+        if (range.partial) headers['Content-Range'] = 'bytes ' + range.start + '-' + range.end + '/' + meta.total;
+        res.writeHead(range.partial ? 206 : 200, headers);
+        streamStarted(res);
+
+        // Bloque a bloque respetando la contrapresión del cliente; los huecos se rellenan desde el origen
+        const next = n => {
+            if (ctx.closed) return;
+            if (n > last) return res.end();
+            getChunk(key, parsed, lang, n, (err, buf) => {
+                if (err) return fail(err);
+                if (ctx.closed) return;
+                const offset = n * size;
+                const part = buf.subarray(Math.max(0, range.start - offset), Math.min(buf.length, range.end - offset + 1));
+                if (res.write(part)) next(n + 1);
+                else res.once('drain', () => next(n + 1));
+            });
+        };
+        next(first);
+    };
+
+    if (CACHE.meta.has(key)) return send(CACHE.meta.get(key));
+    // Primera vez: el bloque 0 trae el tamaño total y el tipo
+    getChunk(key, parsed, lang, 0, err => {
+        if (err) return fail(err);
+        if (!CACHE.meta.has(key)) return proxyUpstream(req, res, parsed, 0, ctx);
+        send(CACHE.meta.get(key));
+    });
+}
 
-    proxyReq.end();
+if (!SCAN_CLI) initCache();
+
+app.get('/api/admin/cache', requireAdmin, (req, res) => {
+    res.json({
+        enabled: !!config.CACHE_DIR,
+        files: CACHE.meta.size,
+        chunks: CACHE.chunks.size,
+        size: CACHE.size,
+        maxSize: config.CACHE_MAX_SIZE,
+        chunkSize: config.CACHE_CHUNK,
+        pending: CACHE.pending.size,
+        uncacheable: CACHE.uncacheable.size
+    });
 });
 
 // ===== OPTIMIZACIÓN 4: HTML con Player Mejorado =====
@@ -244,20 +2906,36 @@ html,body{background:var(--bg);color:var(--text);font-family:-apple-system,syste
 .card img{width:100%;height:100%;object-fit:cover;opacity:0}
 .card img.ok{opacity:1}
 .card img.err{opacity:.2}
+.card-e{display:block;font-size:11px;font-weight:400;color:var(--text2);margin-top:2px}
 .card-t{position:absolute;bottom:0;left:0;right:0;padding:30px 8px 8px;background:linear-gradient(transparent,#000);font-size:12px;font-weight:600;opacity:0}
 .card.f .card-t{opacity:1}
+.card-p{position:absolute;left:0;right:0;bottom:0;height:4px;background:#333}
+.card-p i,.ep-p i{display:block;height:100%;background:var(--accent)}
+
+.cont{margin-bottom:14px}
+.cont:empty{display:none}
+.row-t{font-size:13px;font-weight:600;color:var(--text2);margin-bottom:8px}
+.row{display:flex;gap:10px;overflow-x:auto}
+.row .card{flex:0 0 140px}
 
 .panel{position:fixed;inset:0;background:var(--bg);z-index:100;display:none;flex-direction:column}
 .panel.open{display:flex}
 .panel-hdr{display:flex;align-items:center;gap:12px;padding:14px 16px;background:var(--surface);border-bottom:1px solid var(--border)}
 .back{width:40px;height:40px;background:var(--card);border:2px solid transparent;border-radius:8px;color:var(--text);font-size:16px;cursor:pointer;display:flex;align-items:center;justify-content:center}
 .back.f{border-color:var(--focus)}
+.fav{width:40px;height:40px;background:var(--card);border:2px solid transparent;border-radius:8px;color:var(--text2);font-size:18px;cursor:pointer}
+.fav.on{color:var(--accent)}
+.fav.f{border-color:var(--focus)}
 .panel-title{flex:1;font-size:18px;font-weight:600;white-space:nowrap;overflow:hidden;text-overflow:ellipsis}
 
 .tabs{display:flex;gap:8px;padding:12px 16px;background:var(--surface);border-bottom:1px solid var(--border);overflow-x:auto}
-.tab{padding:8px 18px;background:var(--bg);border:2px solid var(--border);border-radius:6px;color:var(--text2);font-size:13px;font-weight:500;cursor:pointer;white-space:nowrap}
-.tab.on{background:var(--accent);border-color:var(--accent);color:#fff}
-.tab.f{border-color:var(--focus)}
+.tab,.gtab{padding:8px 18px;background:var(--bg);border:2px solid var(--border);border-radius:6px;color:var(--text2);font-size:13px;font-weight:500;cursor:pointer;white-space:nowrap}
+.tab.on,.gtab.on{background:var(--accent);border-color:var(--accent);color:#fff}
+.tab.f,.gtab.f{border-color:var(--focus)}
+.tabs:empty{display:none}
+.det-info{padding:12px 16px;background:var(--surface);border-bottom:1px solid var(--border);font-size:13px;color:var(--text2)}
+.det-info:empty{display:none}
+.det-desc{color:var(--text);margin-top:6px;line-height:1.4;max-height:60px;overflow:hidden}
 
 .list{flex:1;overflow-y:auto;padding:12px}
 .ep{display:flex;align-items:center;gap:14px;padding:14px 16px;background:var(--card);border:2px solid transparent;border-radius:8px;margin-bottom:8px;cursor:pointer}
@@ -265,6 +2943,12 @@ html,body{background:var(--bg);color:var(--text);font-family:-apple-system,syste
 .ep-n{width:36px;height:36px;background:var(--accent);border-radius:50%;display:flex;align-items:center;justify-content:center;font-size:13px;font-weight:700;flex-shrink:0}
 .ep-t{font-size:14px;font-weight:500}
 .ep-m{font-size:12px;color:var(--text2);margin-top:2px}
+.ep-d{font-size:12px;color:var(--text2);margin-top:4px;line-height:1.35;display:-webkit-box;-webkit-line-clamp:2;-webkit-box-orient:vertical;overflow:hidden}
+.ep-p{width:160px;height:3px;background:#333;border-radius:2px;margin-top:6px;overflow:hidden}
+.ep.seen .ep-n{background:#333}
+.ep.seen .ep-t{color:var(--text2)}
+.ep.broken{opacity:.45}
+.ep.broken .ep-n{background:#333}
 
 .player{position:fixed;inset:0;background:#000;z-index:200;display:none}
 .player.open{display:block}
@@ -302,6 +2986,14 @@ video{position:absolute;inset:0;width:100%;height:100%;object-fit:contain}
 .p-btn.f{border-color:var(--focus);background:#222}
 .p-btn.main{width:56px;height:56px;background:#222;font-size:16px}
 .p-btn.main.f{background:var(--accent);border-color:var(--accent)}
+.p-btn.on{color:var(--accent)}
+.p-menu{position:absolute;bottom:120px;right:20px;background:#111;border:1px solid var(--border);border-radius:10px;padding:8px;display:none;min-width:220px;max-height:60%;overflow-y:auto}
+.p-menu.show{display:block}
+.p-menu-h{color:var(--text2);font-size:11px;text-transform:uppercase;padding:8px 10px 4px}
+.p-menu-e{color:var(--text2);font-size:13px;padding:6px 10px}
+.p-opt{display:block;width:100%;text-align:left;background:transparent;border:2px solid transparent;border-radius:6px;color:var(--text);padding:8px 10px;font-size:14px;cursor:pointer}
+.p-opt.on{color:var(--accent);font-weight:600}
+.p-opt.f{border-color:var(--focus);background:#222}
 
 .p-next{position:absolute;bottom:120px;right:20px;background:#111;border:1px solid var(--border);border-radius:10px;padding:16px 20px;display:none;max-width:280px}
 .p-next.show{display:block}
@@ -313,6 +3005,12 @@ video{position:absolute;inset:0;width:100%;height:100%;object-fit:contain}
 .p-next-btn.f{border-color:var(--focus)}
 .p-next-btn.pri{background:var(--accent);color:#fff}
 .p-next-btn.sec{background:transparent;color:var(--text);border-color:var(--border)}
+.p-skip{position:absolute;bottom:120px;left:20px;background:#111;border:2px solid var(--focus);border-radius:6px;color:#fff;padding:10px 18px;font-size:13px;font-weight:600;cursor:pointer;display:none}
+.p-skip.show{display:block}
+.p-still{position:absolute;top:50%;left:50%;transform:translate(-50%,-50%);background:#111;border:1px solid var(--border);border-radius:10px;padding:24px 28px;display:none;text-align:center}
+.p-still.show{display:block}
+.p-still-t{font-size:18px;font-weight:600;margin-bottom:16px}
+.p-still .p-next-btns{justify-content:center}
 
 .p-err{position:absolute;top:50%;left:50%;transform:translate(-50%,-50%);text-align:center;display:none}
 .p-err.show{display:block}
@@ -330,6 +3028,19 @@ video{position:absolute;inset:0;width:100%;height:100%;object-fit:contain}
 .msg{text-align:center;padding:60px 20px;color:var(--text2)}
 .msg.load::after{content:'';display:block;width:24px;height:24px;margin:16px auto 0;border:2px solid #333;border-top-color:var(--accent);border-radius:50%;animation:spin .8s linear infinite}
 
+.profs{z-index:150;align-items:center;justify-content:center}
+.prof-h{font-size:24px;font-weight:600;text-align:center;margin-bottom:28px}
+.prof-list{display:flex;flex-wrap:wrap;justify-content:center;gap:20px;max-width:760px}
+.prof{width:120px;background:none;border:none;color:var(--text);cursor:pointer;font-size:14px}
+.prof-av{width:100px;height:100px;margin:0 auto 10px;border-radius:12px;border:3px solid transparent;display:flex;align-items:center;justify-content:center;font-size:40px;font-weight:700;color:#fff}
+.prof.f .prof-av{border-color:var(--focus)}
+.prof-k{font-size:11px;color:var(--text2)}
+.prof-form{display:none;flex-direction:column;align-items:center;gap:10px;margin-top:28px}
+.prof-form.show{display:flex}
+.prof-form .srch{flex:none;width:260px}
+.prof-err{font-size:12px;color:var(--accent);min-height:14px}
+.btn.on{background:var(--accent);border-color:var(--accent)}
+
 @keyframes spin{to{transform:rotate(360deg)}}
 </style>
 </head>
@@ -339,9 +3050,13 @@ video{position:absolute;inset:0;width:100%;height:100%;object-fit:contain}
         <div class="logo">STREAM+</div>
         <input class="srch" id="srch" placeholder="Buscar serie...">
         <button class="btn" id="mix">Aleatorio</button>
+        <button class="btn" id="fav">Mi lista</button>
+        <button class="btn" id="prof">Perfil</button>
         <span class="stats" id="stats"></span>
     </div>
+    <div class="tabs" id="gtabs"></div>
     <div class="main" id="main">
+        <div class="cont" id="cont"></div>
         <div class="grid" id="grid"><div class="msg load">Cargando</div></div>
     </div>
 
@@ -349,11 +3064,30 @@ video{position:absolute;inset:0;width:100%;height:100%;object-fit:contain}
         <div class="panel-hdr">
             <button class="back" id="det-back">◀</button>
             <div class="panel-title" id="det-title"></div>
+            <button class="fav" id="det-fav">☆</button>
         </div>
+        <div class="det-info" id="det-info"></div>
         <div class="tabs" id="tabs"></div>
         <div class="list" id="eps"></div>
     </div>
 
+    <div class="panel profs" id="profiles">
+        <div class="prof-h">¿Quién está viendo?</div>
+        <div class="prof-list" id="prof-list"></div>
+        <div class="prof-form" id="prof-pin">
+            <input class="srch" id="pin-in" type="password" inputmode="numeric" maxlength="8" placeholder="PIN">
+            <button class="btn" id="pin-ok">Entrar</button>
+            <div class="prof-err" id="pin-err"></div>
+        </div>
+        <div class="prof-form" id="prof-new">
+            <input class="srch" id="new-name" maxlength="30" placeholder="Nombre">
+            <input class="srch" id="new-pin" type="password" inputmode="numeric" maxlength="8" placeholder="PIN (opcional)">
+            <button class="btn" id="new-kids">Perfil infantil: No</button>
+            <button class="btn" id="new-ok">Crear perfil</button>
+            <div class="prof-err" id="new-err"></div>
+        </div>
+    </div>
+
     <div class="player" id="player">
         <video id="vid" playsinline preload="auto"></video>
         <div class="p-load" id="p-load">
@@ -385,6 +3119,15 @@ video{position:absolute;inset:0;width:100%;height:100%;object-fit:contain}
                     <button class="p-next-btn sec" id="p-next-cancel">Cancelar</button>
                 </div>
             </div>
+            <div class="p-menu" id="p-menu"></div>
+            <button class="p-skip" id="p-skip">Saltar intro</button>
+            <div class="p-still" id="p-still">
+                <div class="p-still-t">¿Sigues viendo?</div>
+                <div class="p-next-btns">
+                    <button class="p-next-btn pri" id="p-still-yes">Seguir viendo</button>
+                    <button class="p-next-btn sec" id="p-still-no">Salir</button>
+                </div>
+            </div>
             <div class="p-bottom">
                 <div class="p-prog">
                     <span class="p-time" id="p-cur">0:00</span>
@@ -401,11 +3144,14 @@ video{position:absolute;inset:0;width:100%;height:100%;object-fit:contain}
                     <button class="p-btn main" id="p-pp">PLAY</button>
                     <button class="p-btn" id="p-fw">+10</button>
                     <button class="p-btn" id="p-nxt">NEXT</button>
+                    <button class="p-btn" id="p-sub" style="display:none">CC</button>
+                    <button class="p-btn" id="p-aud">AUD</button>
                 </div>
             </div>
         </div>
     </div>
 </div>
+<script src="/hls.js" defer></script>
 <script>
 (function(){
 const $=id=>document.getElementById(id);
@@ -422,21 +3168,48 @@ const state = {
     focused: null,
     playing: false,
     lastFocused: { home: null, detail: null },
+    profile: null,
+    pinFor: null,
+    favOnly: false,
+    genre: '',
+    newKids: false,
     retryCount: 0,
-    maxRetries: 3
+    maxRetries: 3,
+    src: null,
+    hls: false,
+    sources: [],
+    srcIdx: 0,
+    srcTried: 0,
+    startAt: 0,
+    subs: [],
+    subIdx: -1,
+    prefs: { audio: '', subtitles: '' },
+    menu: false,
+    autoplay: { countdown: 8, stillWatching: 3 },
+    autoplays: 0,
+    still: false,
+    nextDismissed: false,
+    tele: null,
+    progress: {},
+    current: null,
+    playSeq: 0,
+    lastSave: 0
 };
 
-let hideT, volT, indT, nextT, bufferCheckT;
+let hideT, volT, indT, nextT, bufferCheckT, hls = null;
 
 const el = {
-    grid: $('grid'), main: $('main'), srch: $('srch'), mix: $('mix'), stats: $('stats'),
-    detail: $('detail'), detBack: $('det-back'), detTitle: $('det-title'), tabs: $('tabs'), eps: $('eps'),
+    grid: $('grid'), cont: $('cont'), main: $('main'), srch: $('srch'), mix: $('mix'), fav: $('fav'), prof: $('prof'), stats: $('stats'), gtabs: $('gtabs'),
+    profiles: $('profiles'), profList: $('prof-list'), profPin: $('prof-pin'), pinIn: $('pin-in'), pinOk: $('pin-ok'), pinErr: $('pin-err'),
+    profNew: $('prof-new'), newName: $('new-name'), newPin: $('new-pin'), newKids: $('new-kids'), newOk: $('new-ok'), newErr: $('new-err'),
+    detail: $('detail'), detBack: $('det-back'), detFav: $('det-fav'), detTitle: $('det-title'), detInfo: $('det-info'), tabs: $('tabs'), eps: $('eps'),
     player: $('player'), vid: $('vid'), pUi: $('p-ui'), pTitle: $('p-title'), pStatus: $('p-status'),
     pLoad: $('p-load'), pLoadTxt: $('p-load-txt'), pErr: $('p-err'), pErrSub: $('p-err-sub'), pRetry: $('p-retry'), pBack: $('p-back'),
     pInd: $('p-ind'), pVol: $('p-vol'), pVolFill: $('p-vol-fill'), pVolPct: $('p-vol-pct'),
     pBar: $('p-bar'), pBarFill: $('p-bar-fill'), pBarBuf: $('p-bar-buf'), pBarDot: $('p-bar-dot'),
     pCur: $('p-cur'), pDur: $('p-dur'),
-    pPrev: $('p-prev'), pRw: $('p-rw'), pPp: $('p-pp'), pFw: $('p-fw'), pNxt: $('p-nxt'),
+    pPrev: $('p-prev'), pRw: $('p-rw'), pPp: $('p-pp'), pFw: $('p-fw'), pNxt: $('p-nxt'), pSub: $('p-sub'), pAud: $('p-aud'), pMenu: $('p-menu'),
+    pSkip: $('p-skip'), pStill: $('p-still'), pStillYes: $('p-still-yes'), pStillNo: $('p-still-no'),
     pNext: $('p-next'), pNextT: $('p-next-t'), pNextCd: $('p-next-cd'), pNextPlay: $('p-next-play'), pNextCancel: $('p-next-cancel')
 };
 
@@ -458,7 +3231,14 @@ function handleHistoryBack(historyState) {
         return;
     }
 
-    if (state.view === 'player') {
+    if (state.view === 'profiles') {
+        if (state.profile) closeProfiles();
+        history.pushState({ view: 'home' }, '', '#home');
+    } else if (state.view === 'player' && state.menu) {
+        // Atrás con el menú de audio abierto solo cierra el menú
+        closeMenu();
+        history.pushState({ view: 'player' }, '', '#player');
+    } else if (state.view === 'player') {
         closePlayerInternal();
         history.pushState({ view: 'detail' }, '', '#detail');
     } else if (state.view === 'detail') {
@@ -472,6 +3252,8 @@ function handleHistoryBack(historyState) {
 // Init
 initHistory();
 fetch('/api/stats').then(r => r.json()).then(d => { el.stats.textContent = d.series + ' series'; }).catch(() => {});
+initProfiles();
+loadGenres();
 load(false, true);
 calcCols();
 window.addEventListener('resize', calcCols);
@@ -490,9 +3272,12 @@ function calcCols() {
 
 function onKey(e) {
     const k = e.key;
-    const navKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Enter', ' '];
+    const navKeys = ['ArrowUp', 'ArrowDown', 'ArrowLeft', 'ArrowRight', 'Enter', ' ', 'ContextMenu'];
+
+    // Con un campo de texto enfocado los caracteres imprimibles (el espacio incluido) tienen que llegar al campo
+    const typing = /^(INPUT|TEXTAREA)$/.test(document.activeElement.tagName) && k.length === 1;
 
-    if (navKeys.includes(k)) {
+    if (navKeys.includes(k) && !typing) {
         e.preventDefault();
         e.stopPropagation();
     }
@@ -510,6 +3295,19 @@ function onKey(e) {
         return;
     }
 
+    // Campos de texto del selector de perfiles: abajo/Enter salen del campo y pasan al siguiente
+    if (document.activeElement.tagName === 'INPUT') {
+        if (k === 'ArrowDown' || k === 'Enter') {
+            document.activeElement.blur();
+            move('down');
+        }
+        if (k === 'ArrowUp') {
+            document.activeElement.blur();
+            move('up');
+        }
+        return;
+    }
+
     switch (k) {
         case 'ArrowUp': move('up'); break;
         case 'ArrowDown': move('down'); break;
@@ -520,8 +3318,9 @@ function onKey(e) {
 }
 
 function getFocusable() {
-    if (state.view === 'home') return [...document.querySelectorAll('#srch,#mix,.card')].filter(e => e.offsetParent);
-    if (state.view === 'detail') return [...document.querySelectorAll('#det-back,.tab,.ep')].filter(e => e.offsetParent);
+    if (state.view === 'profiles') return [...document.querySelectorAll('.prof,#prof-pin.show *,#prof-new.show *')].filter(e => e.offsetParent && ['BUTTON', 'INPUT'].includes(e.tagName));
+    if (state.view === 'home') return [...document.querySelectorAll('#srch,#mix,#fav,#prof,.gtab,.card')].filter(e => e.offsetParent);
+    if (state.view === 'detail') return [...document.querySelectorAll('#det-back,#det-fav,.tab,.ep')].filter(e => e.offsetParent);
     return [];
 }
 
@@ -543,6 +3342,9 @@ function focusFirst() {
             const card = f.find(e => e.classList.contains('card'));
             focus(card || f[0]);
         }
+    } else if (state.view === 'profiles') {
+        const cur = f.find(e => state.profile && e.dataset.id === state.profile.id);
+        focus(cur || f[0]);
     } else if (state.view === 'detail') {
         if (state.lastFocused.detail && f.includes(state.lastFocused.detail)) {
             focus(state.lastFocused.detail);
@@ -562,12 +3364,34 @@ function move(dir) {
     const f = getFocusable(), i = f.indexOf(state.focused);
     if (i < 0) { focusFirst(); return; }
 
+    // Selector de perfiles: lista lineal (perfiles y después los campos del formulario abierto)
+    if (state.view === 'profiles') {
+        const next = dir === 'left' || dir === 'up' ? f[i - 1] : f[i + 1];
+        if (next) focus(next);
+        return;
+    }
+
     if (state.view === 'home') {
-        const cards = f.filter(e => e.classList.contains('card'));
+        const cards = f.filter(e => e.classList.contains('card') && !e.classList.contains('cw'));
+        const cw = f.filter(e => e.classList.contains('cw'));
+        const gt = f.filter(e => e.classList.contains('gtab'));
+        const gOn = gt.find(e => e.classList.contains('on')) || gt[0];
         const ci = cards.indexOf(state.focused);
-        if (ci >= 0) {
+        const wi = cw.indexOf(state.focused);
+        const gi = gt.indexOf(state.focused);
+        if (gi >= 0) {
+            if (dir === 'up') focus(el.mix);
+            if (dir === 'down' && (cw.length || cards.length)) focus(cw[0] || cards[0]);
+            if (dir === 'left' && gi > 0) focus(gt[gi - 1]);
+            if (dir === 'right' && gi < gt.length - 1) focus(gt[gi + 1]);
+        } else if (wi >= 0) {
+            if (dir === 'up') focus(gOn || el.mix);
+            if (dir === 'down' && cards.length) focus(cards[Math.min(wi, cards.length - 1)]);
+            if (dir === 'left' && wi > 0) focus(cw[wi - 1]);
+            if (dir === 'right' && wi < cw.length - 1) focus(cw[wi + 1]);
+        } else if (ci >= 0) {
             if (dir === 'up') {
-                if (ci < state.cols) focus(el.mix);
+                if (ci < state.cols) focus(cw.length ? cw[Math.min(ci, cw.length - 1)] : gOn || el.mix);
                 else focus(cards[ci - state.cols]);
             }
             if (dir === 'down') {
@@ -580,7 +3404,11 @@ function move(dir) {
         } else {
             if (state.focused === el.srch && dir === 'right') focus(el.mix);
             if (state.focused === el.mix && dir === 'left') focus(el.srch);
-            if (dir === 'down' && cards.length) focus(cards[0]);
+            if (state.focused === el.mix && dir === 'right') focus(el.fav);
+            if (state.focused === el.fav && dir === 'left') focus(el.mix);
+            if (state.focused === el.fav && dir === 'right') focus(el.prof);
+            if (state.focused === el.prof && dir === 'left') focus(el.fav);
+            if (dir === 'down' && (gOn || cw.length || cards.length)) focus(gOn || cw[0] || cards[0]);
         }
     }
 
@@ -592,7 +3420,10 @@ function move(dir) {
 
         if (state.focused === el.detBack) {
             if (dir === 'down' && tabs.length) focus(tabs[0]);
-            if (dir === 'right' && tabs.length) focus(tabs[0]);
+            if (dir === 'right') focus(el.detFav);
+        } else if (state.focused === el.detFav) {
+            if (dir === 'down' && tabs.length) focus(tabs[0]);
+            if (dir === 'left') focus(el.detBack);
         } else if (ti >= 0) {
             if (dir === 'up') focus(el.detBack);
             if (dir === 'down' && eps.length) focus(eps[0]);
@@ -613,19 +3444,41 @@ function move(dir) {
 
 function activate() {
     if (!state.focused) return;
-    if (state.focused === el.srch) { el.srch.focus(); return; }
+    if (state.focused.tagName === 'INPUT') { state.focused.focus(); return; }
     state.focused.click();
 }
 
 // ===== PLAYER OPTIMIZADO =====
 function playerKey(k) {
-    showUI();
+    userActive();
+    if (state.still) return stillKey(k);
+    if (state.menu) return menuKey(k);
+    if (ctrlButtons().includes(state.focused)) return ctrlKey(k);
     switch (k) {
         case 'ArrowLeft': seek(-10); break;
         case 'ArrowRight': seek(10); break;
-        case 'ArrowUp': vol(0.1); break;
-        case 'ArrowDown': vol(-0.1); break;
-        case 'Enter': case ' ': togglePlay(); break;
+        // Abajo entra en la fila de controles; el volumen queda en +/-
+        case 'ArrowDown': focus(el.pPp); break;
+        case '+': vol(0.1); break;
+        case '-': vol(-0.1); break;
+        case 'Enter': case ' ': if (el.pSkip.classList.contains('show')) skipIntro(); else togglePlay(); break;
+        case 'Subtitle': case 'ClosedCaptionToggle': case 'c': cycleSubs(); break;
+        case 'ContextMenu': case 'MediaAudioTrack': case 'a': case 'm': openMenu(); break;
+    }
+}
+
+// Botones visibles de .p-ctrl (CC solo aparece si el episodio tiene subtítulos)
+function ctrlButtons() {
+    return [...document.querySelectorAll('.p-ctrl .p-btn')].filter(b => b.offsetParent);
+}
+
+function ctrlKey(k) {
+    const btns = ctrlButtons(), i = btns.indexOf(state.focused);
+    switch (k) {
+        case 'ArrowLeft': if (i > 0) focus(btns[i - 1]); break;
+        case 'ArrowRight': if (i < btns.length - 1) focus(btns[i + 1]); break;
+        case 'ArrowUp': focus(null); break;
+        case 'Enter': case ' ': state.focused.click(); break;
     }
 }
 
@@ -670,7 +3523,11 @@ function showUI() {
     el.pUi.classList.remove('hide');
     clearTimeout(hideT);
     hideT = setTimeout(() => {
-        if (state.playing && !el.pNext.classList.contains('show')) el.pUi.classList.add('hide');
+        if (state.playing && !state.menu && !state.still && !el.pNext.classList.contains('show')) {
+            el.pUi.classList.add('hide');
+            // Con los controles ocultos no se deja un botón con foco que Enter pulsaría a ciegas
+            if (ctrlButtons().includes(state.focused)) focus(null);
+        }
     }, 3000);
 }
 
@@ -690,6 +3547,7 @@ function setupPlayer() {
     });
 
     v.addEventListener('loadedmetadata', () => {
+        applyAudioPref();
         el.pLoadTxt.textContent = 'Cargando video...';
         updateStatus('Preparando...');
     });
@@ -710,12 +3568,14 @@ function setupPlayer() {
     });
 
     v.addEventListener('waiting', () => { 
+        teleWaiting();
         el.pLoad.classList.add('show');
         el.pLoadTxt.textContent = 'Buffering...';
         updateStatus('Buffering...');
     });
 
     v.addEventListener('playing', () => { 
+        telePlaying();
         el.pLoad.classList.remove('show'); 
         state.playing = true; 
         el.pPp.textContent = 'PAUSE'; 
@@ -728,11 +3588,15 @@ function setupPlayer() {
         state.playing = false; 
         el.pPp.textContent = 'PLAY';
         stopBufferMonitor();
+        saveProgress();
     });
 
     v.addEventListener('timeupdate', () => { 
+        teleTick();
         updateProg(); 
         checkNext(); 
+        checkSkip();
+        if (Date.now() - state.lastSave > 10000) saveProgress();
     });
 
     v.addEventListener('progress', updateBuf);
@@ -745,6 +3609,7 @@ function setupPlayer() {
 
     v.addEventListener('ended', () => {
         stopBufferMonitor();
+        saveProgress(true);
         showNext();
     });
 
@@ -766,10 +3631,19 @@ function setupPlayer() {
     el.pFw.onclick = () => seek(10);
     el.pPrev.onclick = prevEp;
     el.pNxt.onclick = nextEp;
+    el.pSub.onclick = cycleSubs;
+    el.pAud.onclick = openMenu;
+    el.pMenu.onclick = e => {
+        const o = e.target.closest('.p-opt');
+        if (o) pickOpt(o);
+    };
     el.pRetry.onclick = retry;
     el.pBack.onclick = () => history.back();
     el.pNextPlay.onclick = nextEp;
     el.pNextCancel.onclick = cancelNext;
+    el.pSkip.onclick = skipIntro;
+    el.pStillYes.onclick = keepWatching;
+    el.pStillNo.onclick = () => { hideStill(); closePlayer(); };
     el.pBar.onclick = e => {
         const r = el.pBar.getBoundingClientRect();
         const percent = (e.clientX - r.left) / r.width;
@@ -792,13 +3666,16 @@ function handleVideoError(e) {
     }
 
     el.pErrSub.textContent = msg;
+    teleError('media-' + (error ? error.code : 0));
 
-    // Auto-retry para errores de red
+    // Auto-retry para errores de red; agotados los reintentos (o si la fuente no sirve) se pasa al siguiente espejo
     if (error && error.code === 2 && state.retryCount < state.maxRetries) {
         state.retryCount++;
         el.pLoadTxt.textContent = 'Reintentando... (' + state.retryCount + '/' + state.maxRetries + ')';
         updateStatus('Reintentando...');
         setTimeout(retry, 2000);
+    } else if (error && error.code !== 1 && failover()) {
+        return;
     } else {
         el.pLoad.classList.remove('show'); 
         el.pErr.classList.add('show');
@@ -814,8 +3691,10 @@ function handlePlayError(e) {
     }
 }
 
+// Sin otro mensaje, la línea de estado indica qué espejo se está usando
 function updateStatus(text) {
-    el.pStatus.textContent = text;
+    const src = state.sources[state.srcIdx];
+    el.pStatus.textContent = text || (state.sources.length > 1 && src ? src.label + ' (' + (state.srcIdx + 1) + '/' + state.sources.length + ')' : '');
 }
 
 // ===== OPTIMIZACIÓN 7: Monitor de buffer =====
@@ -828,6 +3707,7 @@ function startBufferMonitor() {
             const bufferAhead = buffered - current;
 
             if (bufferAhead < 2 && !el.vid.paused) {
+                if (state.tele) state.tele.lowBuffer++;
                 updateStatus('Buffer bajo...');
             } else if (bufferAhead > 5) {
                 updateStatus('');
@@ -858,107 +3738,543 @@ function updateBuf() {
 }
 
 function retry() {
+    if (!state.src) return playEp(state.series.seasons[state.season][state.epIdx]);
     el.pErr.classList.remove('show');
     el.pLoad.classList.add('show');
     el.pLoadTxt.textContent = 'Reintentando...';
 
     const currentTime = el.vid.currentTime;
-    const src = el.vid.src;
 
-    el.vid.src = '';
+    destroyHls();
+    el.vid.removeAttribute('src');
+    el.vid.load();
 
     // Pequeño delay antes de reintentar
     setTimeout(() => {
-        el.vid.src = src;
-        el.vid.currentTime = currentTime;
+        setSource(state.src, currentTime);
         el.vid.play().catch(handlePlayError);
     }, 500);
 }
 
+// ===== HLS =====
+// Safari y algunas TVs reproducen HLS nativo; el resto via MediaSource con hls.js
+function setSource(u, startAt) {
+    destroyHls();
+    const native = el.vid.canPlayType('application/vnd.apple.mpegurl');
+    if (state.hls && !native && window.Hls && Hls.isSupported()) {
+        hls = new Hls({ startPosition: startAt || -1, maxBufferLength: 30 });
+        hls.on(Hls.Events.ERROR, handleHlsError);
+        hls.on(Hls.Events.AUDIO_TRACKS_UPDATED, applyAudioPref);
+        hls.loadSource(u);
+        hls.attachMedia(el.vid);
+        return;
+    }
+    el.vid.src = u;
+    if (startAt) el.vid.currentTime = startAt;
+}
+
+function handleHlsError(evt, data) {
+    if (!data.fatal) return;
+    console.error('HLS error:', data.type, data.details);
+    teleError('hls-' + data.details);
+    if (data.type === Hls.ErrorTypes.MEDIA_ERROR && state.retryCount < state.maxRetries) {
+        state.retryCount++;
+        hls.recoverMediaError();
+        return;
+    }
+    if (data.type === Hls.ErrorTypes.NETWORK_ERROR && state.retryCount < state.maxRetries) {
+        state.retryCount++;
+        el.pLoadTxt.textContent = 'Reintentando... (' + state.retryCount + '/' + state.maxRetries + ')';
+        updateStatus('Reintentando...');
+        hls.startLoad();
+        return;
+    }
+    if (failover()) return;
+    el.pErrSub.textContent = data.type === Hls.ErrorTypes.NETWORK_ERROR ? 'Error de red' : 'Error de decodificación';
+    el.pLoad.classList.remove('show');
+    el.pErr.classList.add('show');
+    stopBufferMonitor();
+    destroyHls();
+}
+
+function destroyHls() {
+    if (hls) { hls.destroy(); hls = null; }
+}
+
+// Cambia al siguiente espejo del episodio manteniendo la posición; false si ya se probaron todos.
+// Se empieza por el que propuso el servidor y se da la vuelta, así también se prueban los que iban antes
+function failover() {
+    if (state.srcTried >= state.sources.length) return false;
+    const at = el.vid.currentTime || state.startAt;
+    state.srcIdx = (state.srcIdx + 1) % state.sources.length;
+    state.srcTried++;
+    const src = state.sources[state.srcIdx];
+    console.warn('Failover a', src.label);
+    if (state.tele) state.tele.failovers++;
+    state.src = src.url;
+    state.hls = src.hls;
+    state.startAt = at;
+    state.retryCount = 0;
+    el.pErr.classList.remove('show');
+    el.pLoad.classList.add('show');
+    el.pLoadTxt.textContent = 'Cambiando a ' + src.label + '...';
+    updateStatus('');
+
+    destroyHls();
+    el.vid.removeAttribute('src');
+    el.vid.load();
+    setSource(src.url, at);
+    el.vid.play().catch(handlePlayError);
+    return true;
+}
+
+// El panel de siguiente aparece al empezar los créditos (si el catálogo los marca) o 15s antes del final
 function checkNext() {
-    const rem = (el.vid.duration || 0) - el.vid.currentTime;
-    if (rem <= 15 && rem > 0 && hasNext() && !nextT) showNext();
+    const d = el.vid.duration || 0, ep = currentEp();
+    const at = ep && ep.credits && ep.credits < d ? ep.credits : d - 15;
+    if (d && el.vid.currentTime >= at && el.vid.currentTime < d && hasNext() && !state.nextDismissed && !el.pNext.classList.contains('show')) showNext();
 }
 
 function showNext() {
-    if (!hasNext()) return;
     const n = getNext();
-    el.pNextT.textContent = 'E' + n.ep + ' - ' + n.title;
+    if (!n || state.still || el.pNext.classList.contains('show')) return;
+    el.pNextT.textContent = (n.season !== state.season ? 'T' + n.season + ' ' : '') + 'E' + n.ep.ep + ' - ' + n.ep.title;
     el.pNext.classList.add('show');
-    let c = 8;
-    el.pNextCd.textContent = 'En ' + c + 's';
-    nextT = setInterval(() => {
+    let c = state.autoplay.countdown;
+    el.pNextCd.textContent = c ? 'En ' + c + 's' : '';
+    // Con la cuenta atrás a 0 solo se ofrece, no se reproduce solo
+    if (c) nextT = setInterval(() => {
         c--; el.pNextCd.textContent = 'En ' + c + 's';
-        if (c <= 0) { clearInterval(nextT); nextT = null; nextEp(); }
+        if (c <= 0) { clearInterval(nextT); nextT = null; autoNext(); }
     }, 1000);
     showUI();
 }
 
 function hideNext() { el.pNext.classList.remove('show'); if (nextT) { clearInterval(nextT); nextT = null; } }
-function cancelNext() { hideNext(); }
-function hasNext() { return state.series && state.epIdx < state.series.seasons[state.season].length - 1; }
-function getNext() { return state.series.seasons[state.season][state.epIdx + 1]; }
-function nextEp() { hideNext(); if (hasNext()) { state.epIdx++; playEp(state.series.seasons[state.season][state.epIdx]); } }
-function prevEp() { if (state.epIdx > 0) { state.epIdx--; playEp(state.series.seasons[state.season][state.epIdx]); } }
+function cancelNext() { state.nextDismissed = true; hideNext(); }
+function currentEp() { return state.series ? (state.series.seasons[state.season] || [])[state.epIdx] : null; }
+
+// Vecino en orden de temporadas y episodios: al acabar una temporada se sigue con la siguiente
+function neighbour(d) {
+    if (!state.series) return null;
+    const ks = Object.keys(state.series.seasons).sort((a, b) => a - b);
+    let k = ks.indexOf(String(state.season)), i = state.epIdx + d;
+    while (k >= 0 && k < ks.length) {
+        const eps = state.series.seasons[ks[k]];
+        if (i >= 0 && i < eps.length) return { season: ks[k], idx: i, ep: eps[i] };
+        k += d;
+        if (k >= 0 && k < ks.length) i = d > 0 ? 0 : state.series.seasons[ks[k]].length - 1;
+    }
+    return null;
+}
+
+function hasNext() { return !!neighbour(1); }
+function getNext() { return neighbour(1); }
+function nextEp() { hideNext(); goTo(neighbour(1)); }
+function prevEp() { goTo(neighbour(-1)); }
+
+function goTo(n) {
+    if (!n) return;
+    if (n.season !== state.season) {
+        // La ficha de detrás pasa a la nueva temporada para volver a ella al cerrar
+        state.season = n.season;
+        renderTabs(Object.keys(state.series.seasons).sort((a, b) => a - b));
+        renderEps();
+    }
+    state.epIdx = n.idx;
+    playEp(n.ep);
+}
+
+// Tras STILL_WATCHING_AFTER autoplays seguidos sin tocar nada se pregunta antes de seguir
+function autoNext() {
+    const limit = state.autoplay.stillWatching;
+    if (limit && state.autoplays >= limit) return showStill();
+    state.autoplays++;
+    nextEp();
+}
+
+function userActive() {
+    state.autoplays = 0;
+    showUI();
+}
+
+function showStill() {
+    hideNext();
+    el.vid.pause();
+    state.still = true;
+    el.pStill.classList.add('show');
+    focus(el.pStillYes);
+    showUI();
+}
+
+function hideStill() {
+    if (!state.still) return;
+    state.still = false;
+    el.pStill.classList.remove('show');
+    focus(null);
+}
+
+function keepWatching() {
+    hideStill();
+    state.autoplays = 0;
+    nextEp();
+}
+
+function stillKey(k) {
+    switch (k) {
+        case 'ArrowLeft': focus(el.pStillYes); break;
+        case 'ArrowRight': focus(el.pStillNo); break;
+        case 'Enter': case ' ': if (state.focused === el.pStillNo) { hideStill(); closePlayer(); } else keepWatching(); break;
+    }
+}
+
+// ===== MARCAS: saltar intro =====
+function checkSkip() {
+    const ep = currentEp(), t = el.vid.currentTime;
+    el.pSkip.classList.toggle('show', !!(ep && ep.intro && t >= ep.intro[0] && t < ep.intro[1] - 1));
+}
+
+function skipIntro() {
+    const ep = currentEp();
+    if (!ep || !ep.intro) return;
+    el.vid.currentTime = ep.intro[1];
+    el.pSkip.classList.remove('show');
+    showInd('⏭');
+}
+
+// ===== SUBTÍTULOS =====
+// Un <track> por subtítulo del episodio; se mantiene el idioma elegido entre episodios
+function setSubtitles(list) {
+    [...el.vid.querySelectorAll('track')].forEach(t => t.remove());
+    state.subs = list || [];
+    state.subs.forEach(s => {
+        const t = document.createElement('track');
+        t.kind = 'subtitles';
+        t.src = s.url;
+        t.srclang = s.lang || '';
+        t.label = s.label;
+        el.vid.appendChild(t);
+    });
+    el.pSub.style.display = state.subs.length ? '' : 'none';
+    selectSub(prefIndex(state.subs, state.prefs.subtitles));
+}
+
+// -1 = sin subtítulos
+function selectSub(i) {
+    state.subIdx = i;
+    [...el.vid.querySelectorAll('track')].forEach((t, j) => { t.track.mode = j === i ? 'showing' : 'disabled'; });
+    el.pSub.textContent = i < 0 ? 'CC' : (state.subs[i].lang || 'CC').toUpperCase();
+    el.pSub.classList.toggle('on', i >= 0);
+}
+
+function cycleSubs() {
+    if (!state.subs.length) return;
+    chooseSub(state.subIdx + 1 < state.subs.length ? state.subIdx + 1 : -1);
+}
+
+// Elección del usuario: además de aplicarla se guarda como preferencia del perfil
+function chooseSub(i) {
+    selectSub(i);
+    savePrefs({ subtitles: i < 0 ? '' : state.subs[i].lang });
+    showInd(i < 0 ? 'Sin subtítulos' : state.subs[i].label);
+}
+
+// ===== AUDIO E IDIOMAS =====
+// Idioma exacto (es-419) y si no, el principal (es); -1 sin preferencia o sin coincidencia
+function prefIndex(list, pref) {
+    if (!pref) return -1;
+    const base = l => (l || '').toLowerCase().split('-')[0];
+    const i = list.findIndex(t => (t.lang || '').toLowerCase() === pref);
+    return i >= 0 ? i : list.findIndex(t => base(t.lang) === base(pref));
+}
+
+function savePrefs(patch) {
+    Object.assign(state.prefs, patch);
+    fetch('/api/prefs', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(patch) }).catch(() => {});
+}
+
+// Pistas de audio de hls.js (renditions alternativas) o, con HLS nativo y algunos navegadores, de video.audioTracks
+function audioTracks() {
+    if (hls) return hls.audioTracks.map((t, i) => ({ label: t.name || t.lang || 'Pista ' + (i + 1), lang: t.lang || '', on: i === hls.audioTrack }));
+    if (!el.vid.audioTracks) return [];
+    return [...el.vid.audioTracks].map((t, i) => ({ label: t.label || t.language || 'Pista ' + (i + 1), lang: t.language || '', on: t.enabled }));
+}
+
+function setAudio(i) {
+    if (hls) hls.audioTrack = i;
+    else if (el.vid.audioTracks) [...el.vid.audioTracks].forEach((t, j) => { t.enabled = j === i; });
+}
+
+function applyAudioPref() {
+    const tracks = audioTracks();
+    const i = prefIndex(tracks, state.prefs.audio);
+    if (i >= 0 && !tracks[i].on) setAudio(i);
+}
+
+// Menú de audio y subtítulos: arriba/abajo para moverse, Enter elige, izquierda/derecha o atrás lo cierran
+function openMenu() {
+    const opt = (kind, i, label, on) => '<button class="p-opt' + (on ? ' on' : '') + '" data-kind="' + kind + '" data-i="' + i + '">' + esc(label) + '</button>';
+    const audio = audioTracks();
+    let h = '<div class="p-menu-h">Audio</div>';
+    h += audio.length > 1 ? audio.map((t, i) => opt('audio', i, t.label, t.on)).join('') : '<div class="p-menu-e">Pista única</div>';
+    if (state.subs.length) {
+        h += '<div class="p-menu-h">Subtítulos</div>' + opt('sub', -1, 'Desactivados', state.subIdx < 0);
+        h += state.subs.map((s, i) => opt('sub', i, s.label, i === state.subIdx)).join('');
+    }
+    el.pMenu.innerHTML = h;
+    el.pMenu.classList.add('show');
+    state.menu = true;
+    const opts = [...el.pMenu.querySelectorAll('.p-opt')];
+    focus(opts.find(o => o.classList.contains('on')) || opts[0] || null);
+    showUI();
+}
+
+function closeMenu() {
+    if (!state.menu) return;
+    state.menu = false;
+    el.pMenu.classList.remove('show');
+    focus(null);
+}
+
+function menuKey(k) {
+    const opts = [...el.pMenu.querySelectorAll('.p-opt')], i = opts.indexOf(state.focused);
+    switch (k) {
+        case 'ArrowUp': if (i > 0) focus(opts[i - 1]); break;
+        case 'ArrowDown': if (i < opts.length - 1) focus(opts[i + 1]); break;
+        case 'Enter': case ' ': if (state.focused) pickOpt(state.focused); break;
+        case 'ArrowLeft': case 'ArrowRight': case 'ContextMenu': case 'MediaAudioTrack': case 'a': case 'm': closeMenu(); break;
+    }
+}
+
+function pickOpt(o) {
+    const i = Number(o.dataset.i);
+    if (o.dataset.kind === 'audio') {
+        const t = audioTracks()[i];
+        setAudio(i);
+        if (t) savePrefs({ audio: t.lang });
+        showInd(t ? t.label : 'Audio');
+    } else {
+        chooseSub(i);
+    }
+    closeMenu();
+}
 
 // ===== OPTIMIZACIÓN 8: Función de reproducción mejorada =====
 function playEp(ep) {
+    saveProgress();
+    teleStart(ep);
+    state.current = null;
     state.retryCount = 0;
+    // Sin esto, si /api/play falla, retry() volvería a cargar el stream (y el token) del episodio anterior
+    state.src = null;
+    state.hls = false;
+    state.sources = [];
+    state.srcIdx = 0;
+    state.srcTried = 0;
+    setSubtitles([]);
+    closeMenu();
+    hideStill();
+    state.nextDismissed = false;
+    el.pSkip.classList.remove('show');
     hideNext();
     el.pErr.classList.remove('show');
     el.pLoad.classList.add('show');
     el.pLoadTxt.textContent = 'Conectando...';
 
-    let u = ep.url;
-    // Usar proxy para URLs HTTP o si hay problemas de CORS
-    if (u.startsWith('http://') || shouldUseProxy(u)) {
-        u = '/video-proxy?url=' + encodeURIComponent(u);
-    }
-
     // Limpiar video anterior
+    destroyHls();
     el.vid.pause();
     el.vid.removeAttribute('src');
     el.vid.load();
 
-    // Pequeño delay para asegurar limpieza
-    setTimeout(() => {
-        el.vid.src = u;
-        el.pTitle.textContent = ep.title;
+    // Retomar donde se quedó, salvo que esté visto o casi al final
+    const p = state.progress[state.season + '|' + ep.ep];
+    const resumeAt = p && !p.watched && p.position > 5 && (!p.duration || p.duration - p.position > 30) ? p.position : 0;
+
+    // El servidor devuelve un token firmado para el proxy; la URL de origen nunca llega al cliente
+    const current = { series: state.series.name, season: state.season, ep: ep.ep };
+    const seq = ++state.playSeq;
+    el.pTitle.textContent = ep.title;
+    fetch('/api/play/' + encodeURIComponent(current.series) + '/' + encodeURIComponent(current.season) + '/' + current.ep).then(r => r.json()).then(d => {
+        // Si mientras tanto se cerró el reproductor o se cambió de episodio, no hacer nada
+        if (state.view !== 'player' || seq !== state.playSeq) return;
+        if (!d.url) throw new Error(d.error || 'Sin URL');
+        state.sources = d.sources || [{ url: d.url, hls: d.hls, label: '' }];
+        state.srcIdx = d.start || 0;
+        state.srcTried = 1;
+        state.hls = d.hls;
+        state.src = d.url;
+        state.startAt = resumeAt;
+        state.current = current;
+        if (d.prefs) state.prefs = d.prefs;
+        if (d.autoplay) state.autoplay = d.autoplay;
+        updateStatus('');
+        setSource(d.url, resumeAt);
+        setSubtitles(d.subtitles);
+        if (resumeAt) showInd('▶ ' + fmt(resumeAt));
         el.vid.play().catch(handlePlayError);
         showUI();
-    }, 100);
+    }).catch(e => {
+        console.error('Play error:', e);
+        teleError('play-api');
+        el.pErrSub.textContent = 'No se pudo obtener el video';
+        el.pLoad.classList.remove('show');
+        el.pErr.classList.add('show');
+    });
 }
 
-function shouldUseProxy(url) {
-    // Lista de dominios que necesitan proxy
-    const proxyDomains = ['example.com']; // Añadir dominios problemáticos
+// ===== TELEMETRÍA =====
+// Una sesión por episodio: arranque, rebuffering, errores y espejos usados. Se envía al cambiar de episodio, cerrar o salir
+function teleStart(ep) {
+    teleSend();
+    state.tele = {
+        series: state.series.name, season: state.season, ep: ep.ep, t0: Date.now(), startup: null,
+        rebuffers: 0, rebufferMs: 0, waitingAt: 0, lowBuffer: 0, played: 0, lastT: null, failovers: 0, errors: []
+    };
+}
+
+// Un "waiting" por un salto del usuario no cuenta como rebuffering
+function teleWaiting() {
+    const t = state.tele;
+    if (!t || t.startup === null || t.waitingAt || el.vid.seeking) return;
+    t.waitingAt = Date.now();
+    t.rebuffers++;
+}
+
+function telePlaying() {
+    const t = state.tele;
+    if (!t) return;
+    if (t.startup === null) t.startup = Date.now() - t.t0;
+    if (t.waitingAt) t.rebufferMs += Date.now() - t.waitingAt;
+    t.waitingAt = 0;
+}
+
+// Segundos realmente reproducidos (sin contar saltos)
+function teleTick() {
+    const t = state.tele;
+    if (!t) return;
+    const now = el.vid.currentTime;
+    if (t.lastT !== null && !el.vid.seeking && now > t.lastT && now - t.lastT < 2) t.played += now - t.lastT;
+    t.lastT = now;
+}
+
+function teleError(code) {
+    if (state.tele && state.tele.errors.length < 20) state.tele.errors.push(code);
+}
+
+function teleSend() {
+    const t = state.tele;
+    state.tele = null;
+    if (!t) return;
+    if (t.waitingAt) t.rebufferMs += Date.now() - t.waitingAt;
+    const body = JSON.stringify({
+        series: t.series, season: t.season, ep: t.ep, src: state.srcIdx, startup: t.startup,
+        rebuffers: t.rebuffers, rebufferMs: t.rebufferMs, lowBuffer: t.lowBuffer, played: Math.round(t.played),
+        failovers: t.failovers, errors: t.errors, fatal: el.pErr.classList.contains('show')
+    });
     try {
-        const parsed = new URL(url);
-        return proxyDomains.some(d => parsed.hostname.includes(d));
-    } catch {
-        return false;
-    }
+        if (navigator.sendBeacon && navigator.sendBeacon('/api/telemetry', new Blob([body], { type: 'application/json' }))) return;
+    } catch (e) { /* sin sendBeacon para JSON: se usa fetch */ }
+    fetch('/api/telemetry', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body, keepalive: true }).catch(() => {});
 }
 
+window.addEventListener('pagehide', teleSend);
+
 function fmt(s) {
     if (!s || isNaN(s)) return '0:00';
     const h = Math.floor(s / 3600), m = Math.floor((s % 3600) / 60), ss = Math.floor(s % 60);
     return h > 0 ? h + ':' + String(m).padStart(2, '0') + ':' + String(ss).padStart(2, '0') : m + ':' + String(ss).padStart(2, '0');
 }
 
-// ===== SERIES =====
+// ===== PROGRESO =====
+function saveProgress(watched) {
+    const c = state.current;
+    if (!c || el.vid.readyState < 1 || (!watched && el.vid.currentTime < 1)) return;
+    state.lastSave = Date.now();
+    const body = { series: c.series, season: c.season, ep: c.ep, position: Math.floor(el.vid.currentTime), duration: Math.floor(el.vid.duration || 0), watched: !!watched };
+    fetch('/api/progress', { method: 'PUT', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body), keepalive: true })
+        .then(r => r.json()).then(d => {
+            if (!d.data) return;
+            state.progress[d.data.season + '|' + d.data.ep] = d.data;
+            updateEpMarker(d.data);
+        }).catch(() => {});
+}
+
+function epMeta(ep) {
+    const p = state.progress[state.season + '|' + ep.ep];
+    let m = 'Temporada ' + state.season;
+    if (ep.runtime) m += ' · ' + ep.runtime + ' min';
+    if (ep.aired) m += ' · ' + esc(ep.aired);
+    if (ep.subtitles && ep.subtitles.length) m += ' · CC';
+    if (ep.broken) m += ' · No disponible';
+    const desc = ep.plot ? '<div class="ep-d">' + esc(ep.plot) + '</div>' : '';
+    if (p && p.watched) return '<div class="ep-m">' + m + ' · Visto</div>' + desc;
+    if (p && p.duration) return '<div class="ep-m">' + m + ' · ' + fmt(p.position) + ' / ' + fmt(p.duration) + '</div>' + desc + '<div class="ep-p"><i style="width:' + Math.round(p.position / p.duration * 100) + '%"></i></div>';
+    return '<div class="ep-m">' + m + '</div>' + desc;
+}
+
+function updateEpMarker(p) {
+    if (String(p.season) !== String(state.season) || !state.series || state.series.name !== p.series) return;
+    const d = el.eps.querySelector('.ep[data-ep="' + p.ep + '"]');
+    const ep = (state.series.seasons[state.season] || []).find(e => e.ep === p.ep);
+    if (!d || !ep) return;
+    d.classList.toggle('seen', !!p.watched);
+    d.querySelector('.ep-i').innerHTML = '<div class="ep-t">' + esc(ep.title) + '</div>' + epMeta(ep);
+}
+
+function loadContinue() {
+    fetch('/api/progress?continue=true').then(r => r.json()).then(d => {
+        const hadFocus = state.focused && el.cont.contains(state.focused);
+        el.cont.innerHTML = '';
+        if (!d.data.length || el.srch.value.trim()) return;
+        const row = document.createElement('div');
+        row.className = 'row';
+        d.data.forEach(p => {
+            const c = mkCard({ name: p.series + ' · T' + p.season + 'E' + p.ep, series: p.series });
+            c.classList.add('cw');
+            c.insertAdjacentHTML('beforeend', '<div class="card-p"><i style="width:' + (p.duration ? Math.round(p.position / p.duration * 100) : 0) + '%"></i></div>');
+            c.onclick = () => openDetail(p.series, { season: p.season, ep: p.ep, play: true });
+            row.appendChild(c);
+        });
+        el.cont.innerHTML = '<div class="row-t">Continuar viendo</div>';
+        el.cont.appendChild(row);
+        if (hadFocus && state.view === 'home') focusFirst();
+    }).catch(() => {});
+}
+
+function loadGenres() {
+    fetch('/api/genres').then(r => r.json()).then(d => {
+        el.gtabs.innerHTML = '';
+        if (!d.data.length) return;
+        [{ name: '' }].concat(d.data).forEach(g => {
+            const t = document.createElement('button');
+            t.className = 'gtab' + (g.name === state.genre ? ' on' : '');
+            t.textContent = g.name || 'Todos';
+            t.onclick = () => {
+                state.genre = g.name;
+                el.gtabs.querySelectorAll('.gtab').forEach(x => x.classList.toggle('on', x === t));
+                load(false, false);
+            };
+            el.gtabs.appendChild(t);
+        });
+    }).catch(() => {});
+}
+
 function load(append, random) {
     if (state.loading || (append && !state.hasMore)) return;
     state.loading = true;
     if (!append) { el.grid.innerHTML = '<div class="msg load">Cargando</div>'; state.page = 0; state.hasMore = true; }
+    if (!append) { if (el.srch.value.trim()) el.cont.innerHTML = ''; else loadContinue(); }
 
-    let u = '/api/series?page=' + state.page + '&limit=250';
-    if (el.srch.value.trim()) u += '&q=' + encodeURIComponent(el.srch.value.trim());
-    if (random) u += '&random=true';
+    const q = el.srch.value.trim();
+    let u = (q ? '/api/search?q=' + encodeURIComponent(q) + '&' : '/api/series?') + 'page=' + state.page + '&limit=250';
+    if (random && !q) u += '&random=true';
+    if (state.favOnly) u += '&favorites=true';
+    if (state.genre) u += '&genre=' + encodeURIComponent(state.genre);
 
     fetch(u).then(r => r.json()).then(d => {
         if (!append) el.grid.innerHTML = '';
-        if (!d.data.length && !append) { el.grid.innerHTML = '<div class="msg">Sin resultados</div>'; return; }
+        if (!d.data.length && !append) { el.grid.innerHTML = '<div class="msg">' + (state.favOnly ? 'Tu lista está vacía' : 'Sin resultados') + '</div>'; return; }
         d.data.forEach(s => el.grid.appendChild(mkCard(s)));
         state.page++; state.hasMore = d.hasMore;
         calcCols();
@@ -971,10 +4287,13 @@ function load(append, random) {
 function mkCard(s) {
     const d = document.createElement('div');
     d.className = 'card';
-    d.innerHTML = '<img data-src="' + esc(s.poster) + '"><div class="card-t">' + esc(s.name) + '</div>';
+    const epTxt = s.episode ? '<span class="card-e">T' + esc(s.episode.season) + 'E' + esc(s.episode.ep) + ' · ' + esc(s.episode.title) + '</span>' : '';
+    // Póster reducido por el servidor (o un marcador con las iniciales si no hay)
+    d.innerHTML = '<img data-src="/img-proxy?s=' + esc(encodeURIComponent(s.series || s.name)) + '"><div class="card-t">' + esc(s.name) + epTxt + '</div>';
     const img = d.querySelector('img');
     obs.observe(img);
-    d.onclick = () => openDetail(s.name);
+    // Si la búsqueda coincidió con un episodio, abrir la serie en ese episodio
+    d.onclick = () => openDetail(s.name, s.episode ? { season: s.episode.season, ep: s.episode.ep } : null);
     return d;
 }
 
@@ -989,26 +4308,61 @@ const obs = new IntersectionObserver(es => {
 }, { rootMargin: '200px' });
 
 // ===== DETAIL =====
-function openDetail(name) {
+// target: { season, ep, play } para abrir en un episodio concreto (y reproducirlo si play)
+function openDetail(name, target) {
     saveFocus();
     state.view = 'detail';
     state.lastFocused.detail = null;
     pushView('detail');
     el.detTitle.textContent = name;
+    el.detFav.classList.remove('on');
+    el.detFav.textContent = '☆';
+    el.detInfo.innerHTML = '';
     el.detail.classList.add('open');
     el.tabs.innerHTML = '<div class="msg load"></div>';
     el.eps.innerHTML = '';
 
-    fetch('/api/series/' + encodeURIComponent(name)).then(r => r.json()).then(res => {
+    Promise.all([
+        fetch('/api/series/' + encodeURIComponent(name)).then(r => r.json()),
+        fetch('/api/progress?series=' + encodeURIComponent(name)).then(r => r.json()).catch(() => ({ data: [] }))
+    ]).then(([res, prog]) => {
         state.series = res.data;
+        setFav(res.favorite);
+        renderInfo(state.series);
+        state.progress = {};
+        prog.data.forEach(p => { state.progress[p.season + '|' + p.ep] = p; });
         const ks = Object.keys(state.series.seasons).sort((a, b) => a - b);
-        state.season = ks[0];
+        state.season = target && ks.includes(String(target.season)) ? String(target.season) : ks[0];
         renderTabs(ks);
         renderEps();
+        const idx = target ? state.series.seasons[state.season].findIndex(e => e.ep === Number(target.ep)) : -1;
+        if (idx >= 0) state.lastFocused.detail = el.eps.children[idx];
         setTimeout(focusFirst, 50);
+        if (idx >= 0 && target.play) { state.epIdx = idx; openPlayer(state.series.seasons[state.season][idx]); }
     }).catch(() => el.tabs.innerHTML = '<div class="msg">Error</div>');
 }
 
+function renderInfo(s) {
+    const meta = [s.year, s.genres.join(', '), s.rating !== null ? '★ ' + s.rating : '', s.language].filter(Boolean);
+    el.detInfo.innerHTML = (meta.length ? '<div>' + esc(meta.join(' · ')) + '</div>' : '') + (s.description ? '<div class="det-desc">' + esc(s.description) + '</div>' : '');
+}
+
+function setFav(on) {
+    state.series.favorite = on;
+    el.detFav.classList.toggle('on', on);
+    el.detFav.textContent = on ? '★' : '☆';
+}
+
+function toggleFav() {
+    if (!state.series) return;
+    const on = !state.series.favorite;
+    const name = state.series.name;
+    setFav(on);
+    fetch('/api/favorites/' + encodeURIComponent(name), { method: on ? 'POST' : 'DELETE' }).then(r => r.json()).then(d => {
+        if (state.series && state.series.name === name) setFav(d.favorite);
+    }).catch(() => { if (state.series && state.series.name === name) setFav(!on); });
+}
+
 function renderTabs(ks) {
     el.tabs.innerHTML = '';
     ks.forEach(k => {
@@ -1030,8 +4384,10 @@ function renderEps() {
     el.eps.innerHTML = '';
     eps.forEach((ep, i) => {
         const d = document.createElement('div');
-        d.className = 'ep';
-        d.innerHTML = '<div class="ep-n">' + ep.ep + '</div><div><div class="ep-t">' + esc(ep.title) + '</div><div class="ep-m">Temporada ' + state.season + '</div></div>';
+        const p = state.progress[state.season + '|' + ep.ep];
+        d.className = 'ep' + (p && p.watched ? ' seen' : '') + (ep.broken ? ' broken' : '');
+        d.dataset.ep = ep.ep;
+        d.innerHTML = '<div class="ep-n">' + ep.ep + '</div><div class="ep-i"><div class="ep-t">' + esc(ep.title) + '</div>' + epMeta(ep) + '</div>';
         d.onclick = () => { state.epIdx = i; openPlayer(ep); };
         el.eps.appendChild(d);
     });
@@ -1042,6 +4398,8 @@ function closeDetailInternal() {
     state.view = 'home';
     state.series = null;
     state.lastFocused.detail = null;
+    if (state.favOnly) load(false, false);
+    else if (!el.srch.value.trim()) loadContinue();
     setTimeout(focusFirst, 50);
 }
 
@@ -1059,6 +4417,14 @@ function openPlayer(ep) {
 }
 
 function closePlayerInternal() {
+    saveProgress();
+    teleSend();
+    state.current = null;
+    setSubtitles([]);
+    closeMenu();
+    hideStill();
+    el.pSkip.classList.remove('show');
+    destroyHls();
     el.vid.pause();
     el.vid.removeAttribute('src');
     el.vid.load();
@@ -1073,10 +4439,111 @@ function closePlayer() {
     history.back();
 }
 
+// ===== PERFILES =====
+function initProfiles() {
+    fetch('/api/profiles').then(r => r.json()).then(d => {
+        state.profile = d.data.find(p => p.id === d.current) || null;
+        updateProfileBtn();
+        if (d.data.length && !state.profile) openProfiles(d.data);
+    }).catch(() => {});
+}
+
+function updateProfileBtn() {
+    el.prof.textContent = state.profile ? state.profile.name : 'Perfil';
+}
+
+function openProfiles(list) {
+    saveFocus();
+    state.view = 'profiles';
+    pushView('profiles');
+    el.profiles.classList.add('open');
+    el.profPin.classList.remove('show');
+    el.profNew.classList.remove('show');
+    const render = data => {
+        el.profList.innerHTML = '';
+        data.forEach(p => el.profList.appendChild(mkProfile(p)));
+        const add = mkProfile({ name: 'Añadir', avatar: '#333' });
+        add.querySelector('.prof-av').textContent = '+';
+        add.onclick = showNewProfile;
+        el.profList.appendChild(add);
+        setTimeout(focusFirst, 50);
+    };
+    if (list) render(list);
+    else fetch('/api/profiles').then(r => r.json()).then(d => render(d.data)).catch(() => {});
+}
+
+function mkProfile(p) {
+    const b = document.createElement('button');
+    b.className = 'prof';
+    if (p.id) b.dataset.id = p.id;
+    b.innerHTML = '<div class="prof-av" style="background:' + esc(p.avatar) + '">' + esc(p.name.charAt(0).toUpperCase()) + '</div>' + esc(p.name) + (p.kids ? '<div class="prof-k">Infantil</div>' : '');
+    b.onclick = () => {
+        if (!p.hasPin) return loginProfile(p);
+        state.pinFor = p;
+        el.profNew.classList.remove('show');
+        el.profPin.classList.add('show');
+        el.pinIn.value = '';
+        el.pinErr.textContent = '';
+        focus(el.pinIn);
+    };
+    return b;
+}
+
+function showNewProfile() {
+    el.profPin.classList.remove('show');
+    el.profNew.classList.add('show');
+    el.newName.value = el.newPin.value = el.newErr.textContent = '';
+    state.newKids = false;
+    el.newKids.textContent = 'Perfil infantil: No';
+    focus(el.newName);
+}
+
+function loginProfile(p, pin) {
+    fetch('/api/profiles/' + p.id + '/login', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ pin: pin || '' }) })
+        .then(r => r.json()).then(d => {
+            if (!d.ok) { el.pinErr.textContent = d.error || 'Error'; return; }
+            state.profile = d.data;
+            closeProfiles();
+        }).catch(() => { el.pinErr.textContent = 'Error de conexión'; });
+}
+
+function createProfile() {
+    const body = { name: el.newName.value.trim(), pin: el.newPin.value.trim(), kids: state.newKids };
+    fetch('/api/profiles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) })
+        .then(r => r.json()).then(d => {
+            if (!d.ok) { el.newErr.textContent = d.error || 'Error'; return; }
+            state.profile = d.data;
+            closeProfiles();
+        }).catch(() => { el.newErr.textContent = 'Error de conexión'; });
+}
+
+// Al cambiar de perfil se recarga todo lo que depende de él (progreso, continuar viendo...)
+function closeProfiles() {
+    el.profiles.classList.remove('open');
+    state.view = 'home';
+    state.lastFocused.home = null;
+    updateProfileBtn();
+    load(false, !el.srch.value.trim());
+}
+
 // ===== MOUSE =====
 function setupMouse() {
     el.detBack.onclick = closeDetail;
+    el.detFav.onclick = toggleFav;
+    el.fav.onclick = () => {
+        state.favOnly = !state.favOnly;
+        el.fav.classList.toggle('on', state.favOnly);
+        load(false, false);
+    };
     el.mix.onclick = () => load(false, true);
+    el.prof.onclick = () => openProfiles();
+    el.pinOk.onclick = () => state.pinFor && loginProfile(state.pinFor, el.pinIn.value.trim());
+    el.newOk.onclick = createProfile;
+    el.newKids.onclick = () => {
+        state.newKids = !state.newKids;
+        el.newKids.textContent = 'Perfil infantil: ' + (state.newKids ? 'Sí' : 'No');
+        el.newKids.classList.toggle('on', state.newKids);
+    };
     let t;
     el.srch.oninput = () => { clearTimeout(t); t = setTimeout(() => load(false, !el.srch.value.trim()), 300); };
     el.main.onscroll = () => {
@@ -1086,8 +4553,8 @@ function setupMouse() {
         }
     };
     el.player.onclick = e => { if (e.target === el.vid) { togglePlay(); showUI(); } };
-    el.player.onmousemove = showUI;
-    el.player.ontouchmove = showUI;
+    el.player.onmousemove = userActive;
+    el.player.ontouchmove = userActive;
 }
 
 function esc(s) { return s ? String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]) : '' }
@@ -1096,10 +4563,338 @@ function esc(s) { return s ? String(s).replace(/[&<>"']/g, c => ({ '&': '&amp;',
 </body>
 </html>`;
 
+// ===== Editor del catálogo (/admin) =====
+const ADMIN_HTML = `<!DOCTYPE html>
+<html lang="es">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width,initial-scale=1">
+<title>Stream+ · Admin</title>
+<style>
+*{margin:0;padding:0;box-sizing:border-box}
+:root{--bg:#0a0a0a;--surface:#161616;--card:#1a1a1a;--border:#2a2a2a;--text:#e0e0e0;--text2:#707070;--accent:#c00;--focus:#fff}
+body{background:var(--bg);color:var(--text);font-family:-apple-system,system-ui,sans-serif;font-size:14px}
+.hdr{display:flex;align-items:center;gap:12px;padding:12px 16px;background:var(--surface);border-bottom:1px solid var(--border)}
+.logo{color:var(--accent);font-weight:700;font-size:20px;letter-spacing:-1px}
+.wrap{display:flex;height:calc(100vh - 58px)}
+.side{width:260px;border-right:1px solid var(--border);display:flex;flex-direction:column}
+.side .in{margin:10px}
+.list{flex:1;overflow-y:auto}
+.item{padding:8px 14px;cursor:pointer;border-left:3px solid transparent}
+.item:hover{background:var(--card)}
+.item.sel{border-left-color:var(--accent);background:var(--card)}
+.item small{color:var(--text2)}
+.main{flex:1;overflow-y:auto;padding:16px;display:flex;flex-direction:column;gap:16px}
+.box{background:var(--surface);border:1px solid var(--border);border-radius:8px;padding:14px}
+.box h3{font-size:15px;margin-bottom:10px}
+.row{display:flex;gap:8px;align-items:center;flex-wrap:wrap;margin-bottom:6px}
+.in{background:var(--bg);border:1px solid var(--border);color:var(--text);padding:7px 10px;border-radius:6px;font-size:13px;outline:none;min-width:0}
+.in:focus{border-color:var(--focus)}
+.in.n{width:60px}
+.in.w{flex:1}
+.btn{background:var(--card);border:1px solid var(--border);color:var(--text);padding:7px 14px;border-radius:6px;font-size:13px;font-weight:600;cursor:pointer}
+.btn:hover{border-color:var(--focus)}
+.btn.p{background:var(--accent);border-color:var(--accent)}
+.btn.d{color:#e74c3c}
+label{color:var(--text2);font-size:12px;width:90px}
+#msg{font-size:13px;color:var(--text2)}
+#msg.err{color:#e74c3c}
+pre{color:var(--text2);font-size:12px;white-space:pre-wrap}
+table{border-collapse:collapse;width:100%;font-size:12px}
+th,td{text-align:left;padding:5px 8px;border-bottom:1px solid var(--border)}
+th{color:var(--text2);font-weight:500}
+</style>
+</head>
+<body>
+<div class="hdr">
+<span class="logo">STREAM+</span><span>Admin</span>
+<input class="in" id="token" type="password" placeholder="ADMIN_TOKEN">
+<button class="btn" id="connect">Conectar</button>
+<span id="msg"></span>
+</div>
+<div class="wrap">
+<div class="side">
+<input class="in" id="filter" placeholder="Filtrar series">
+<div class="list" id="list"></div>
+<button class="btn" id="new" style="margin:10px">+ Nueva serie</button>
+</div>
+<div class="main" id="main"></div>
+</div>
+<script>
+const $ = id => document.getElementById(id);
+const SERIES_FIELDS = ['poster', 'genres', 'year', 'description', 'rating'];
+const state = { data: [], selected: null };
+
+function esc(s) {
+    const d = document.createElement('div');
+    d.textContent = s == null ? '' : String(s);
+    return d.innerHTML;
+}
+
+function msg(text, err) {
+    $('msg').textContent = text;
+    $('msg').className = err ? 'err' : '';
+}
+
+function api(method, url, body) {
+    const opts = { method, headers: { 'X-Admin-Token': sessionStorage.getItem('adminToken') || '' } };
+    if (body) {
+        opts.headers['Content-Type'] = 'application/json';
+        opts.body = JSON.stringify(body);
+    }
+    return fetch(url, opts).then(r => r.json().then(j => {
+        if (!r.ok) {
+            const detail = (j.errors || []).map(e => e.message).join('; ');
+            throw new Error((j.error || r.status) + (detail ? ': ' + detail : ''));
+        }
+        return j;
+    }));
+}
+
+const enc = encodeURIComponent;
+const seriesUrl = name => '/api/admin/series/' + enc(name);
+
+// Agrupa los registros planos por serie y temporada
+function grouped() {
+    const out = {};
+    state.data.forEach(r => {
+        if (!r || typeof r !== 'object') return;
+        const name = r.series || 'Sin nombre';
+        if (!out[name]) out[name] = { meta: r, seasons: {} };
+        const s = String(r.season || 1);
+        (out[name].seasons[s] = out[name].seasons[s] || []).push(r);
+    });
+    return out;
+}
+
+function load(keep) {
+    return api('GET', '/api/admin/catalog').then(j => {
+        state.data = j.data;
+        if (!keep) msg(j.file + ' · ' + j.data.length + ' registros');
+        renderList();
+        renderMain();
+    }).catch(e => msg(e.message, true));
+}
+
+// Tras cada cambio el servidor ya ha recargado el catálogo; se vuelve a leer para mostrar lo guardado
+function run(method, url, body, done) {
+    return api(method, url, body).then(j => {
+        msg('Guardado (versión ' + j.version + ')');
+        if (done) done(j);
+        return load(true);
+    }).catch(e => msg(e.message, true));
+}
+
+function renderList() {
+    const q = $('filter').value.toLowerCase();
+    const all = grouped();
+    $('list').innerHTML = Object.keys(all).sort().filter(n => n.toLowerCase().includes(q)).map(n => {
+        const count = Object.values(all[n].seasons).reduce((a, s) => a + s.length, 0);
+        return '<div class="item' + (n === state.selected ? ' sel' : '') + '" data-name="' + esc(n) + '">' + esc(n) + '<br><small>' + count + ' episodios</small></div>';
+    }).join('');
+}
+
+function field(id, label, value) {
+    return '<div class="row"><label>' + label + '</label><input class="in w" id="' + id + '" value="' + esc(value) + '"></div>';
+}
+
+function epRow(r) {
+    const key = (r.season || 1) + '/' + (r.ep || 1);
+    return '<div class="row" data-key="' + key + '">' +
+        '<input class="in n" data-f="ep" value="' + esc(r.ep) + '">' +
+        '<input class="in w" data-f="title" placeholder="Título" value="' + esc(r.title) + '">' +
+        '<input class="in w" data-f="url" placeholder="URL" value="' + esc(r.url) + '">' +
+        '<button class="btn" data-act="save-ep">Guardar</button>' +
+        '<button class="btn d" data-act="del-ep">Borrar</button></div>';
+}
+
+function renderMain() {
+    const main = $('main');
+    const all = grouped();
+    const s = all[state.selected];
+    let html = '';
+    if (state.selected === '') {
+        html += '<div class="box"><h3>Nueva serie</h3>' + field('m-name', 'Nombre', '') +
+            SERIES_FIELDS.map(f => field('m-' + f, f, '')).join('') +
+            '<div class="row"><label>Episodio 1</label><input class="in w" id="m-url" placeholder="URL"></div>' +
+            '<button class="btn p" data-act="create">Crear</button></div>';
+    } else if (s) {
+        html += '<div class="box"><h3>' + esc(state.selected) + '</h3>' + field('m-name', 'Nombre', state.selected) +
+            SERIES_FIELDS.map(f => field('m-' + f, f, Array.isArray(s.meta[f]) ? s.meta[f].join(', ') : s.meta[f])).join('') +
+            '<button class="btn p" data-act="save-series">Guardar</button> <button class="btn d" data-act="del-series">Borrar serie</button></div>';
+        Object.keys(s.seasons).sort((a, b) => a - b).forEach(n => {
+            html += '<div class="box" data-season="' + esc(n) + '"><div class="row"><h3>Temporada</h3>' +
+                '<input class="in n" data-f="season" value="' + esc(n) + '">' +
+                '<button class="btn" data-act="renum">Renumerar</button><button class="btn d" data-act="del-season">Borrar temporada</button></div>' +
+                s.seasons[n].slice().sort((a, b) => (a.ep || 1) - (b.ep || 1)).map(epRow).join('') + '</div>';
+        });
+        html += '<div class="box"><h3>Añadir episodio</h3><div class="row">' +
+            '<input class="in n" id="a-season" placeholder="T" value="1"><input class="in n" id="a-ep" placeholder="Ep">' +
+            '<input class="in w" id="a-title" placeholder="Título"><input class="in w" id="a-url" placeholder="URL">' +
+            '<button class="btn p" data-act="add-ep">Añadir</button></div></div>';
+    }
+    html += '<div class="box"><h3>Cambiar host</h3><div class="row">' +
+        '<input class="in w" id="h-from" placeholder="cdn-viejo.com"><input class="in w" id="h-to" placeholder="cdn-nuevo.com">' +
+        '<button class="btn" data-act="replace-host">Reemplazar</button></div></div>' +
+        '<div class="box"><h3>Informe del catálogo</h3><button class="btn" data-act="report">Validar</button><pre id="report"></pre></div>' +
+        '<div class="box"><h3>Calidad de reproducción</h3><button class="btn" data-act="qoe">Ver</button> <button class="btn d" data-act="qoe-reset">Reiniciar</button><div id="qoe"></div></div>';
+    main.innerHTML = html;
+}
+
+// Un campo vacío se envía como "" para que el servidor lo quite; "genres" se guarda como lista
+function seriesMeta() {
+    const meta = {};
+    SERIES_FIELDS.forEach(f => {
+        const v = $('m-' + f).value.trim();
+        meta[f] = !v ? '' : f === 'genres' ? v.split(',').map(g => g.trim()).filter(Boolean) : f === 'year' || f === 'rating' ? Number(v) : v;
+    });
+    return meta;
+}
+
+const actions = {
+    'create'() {
+        const name = $('m-name').value.trim();
+        const body = Object.assign({ name, episodes: [{ season: 1, ep: 1, url: $('m-url').value.trim() }] }, seriesMeta());
+        run('POST', '/api/admin/series', body, () => { state.selected = name; });
+    },
+    'save-series'() {
+        const name = $('m-name').value.trim();
+        run('PUT', seriesUrl(state.selected), Object.assign({ name }, seriesMeta()), () => { state.selected = name; });
+    },
+    'del-series'() {
+        if (!confirm('¿Borrar "' + state.selected + '" y todos sus episodios?')) return;
+        run('DELETE', seriesUrl(state.selected), null, () => { state.selected = null; });
+    },
+    'renum'(el) {
+        const box = el.closest('[data-season]');
+        run('PUT', seriesUrl(state.selected) + '/seasons/' + enc(box.dataset.season), { season: Number(box.querySelector('[data-f=season]').value) });
+    },
+    'del-season'(el) {
+        const n = el.closest('[data-season]').dataset.season;
+        if (!confirm('¿Borrar la temporada ' + n + '?')) return;
+        run('DELETE', seriesUrl(state.selected) + '/seasons/' + enc(n));
+    },
+    'save-ep'(el) {
+        const row = el.closest('[data-key]');
+        const body = {};
+        row.querySelectorAll('[data-f]').forEach(i => { body[i.dataset.f] = i.dataset.f === 'ep' ? Number(i.value) : i.value.trim(); });
+        run('PUT', seriesUrl(state.selected) + '/seasons/' + row.dataset.key.replace('/', '/episodes/'), body);
+    },
+    'del-ep'(el) {
+        const row = el.closest('[data-key]');
+        run('DELETE', seriesUrl(state.selected) + '/seasons/' + row.dataset.key.replace('/', '/episodes/'));
+    },
+    'add-ep'() {
+        run('POST', seriesUrl(state.selected) + '/episodes', {
+            season: Number($('a-season').value) || 1, ep: Number($('a-ep').value),
+            title: $('a-title').value.trim(), url: $('a-url').value.trim()
+        });
+    },
+    'replace-host'() {
+        run('POST', '/api/admin/replace-host', { from: $('h-from').value.trim(), to: $('h-to').value.trim() },
+            j => setTimeout(() => msg(j.replaced + ' URLs cambiadas en ' + j.records + ' registros'), 0));
+    },
+    'qoe'() {
+        api('GET', '/api/admin/telemetry').then(j => {
+            const pct = v => Math.round(v * 100) + '%';
+            const secs = ms => ms === null ? '-' : (ms / 1000).toFixed(1) + 's';
+            const table = (title, rows, name) => '<h3 style="margin-top:12px">' + title + '</h3><table>' +
+                '<tr><th></th><th>Sesiones</th><th>Con error</th><th>Arranque</th><th>Rebuffering</th><th>Espejos</th></tr>' +
+                rows.map(r => '<tr><td>' + esc(name(r)) + '</td><td>' + r.sessions + '</td><td>' + pct(r.failRate) + '</td><td>' + secs(r.avgStartup) +
+                    '</td><td>' + pct(r.rebufferRatio) + ' (' + r.rebuffers + ')</td><td>' + r.failovers + '</td></tr>').join('') + '</table>';
+            $('qoe').innerHTML = '<pre>' + j.sessions + ' sesiones desde ' + new Date(j.since).toLocaleString() + '</pre>' +
+                table('Peores episodios', j.episodes, r => r.series + ' T' + r.season + 'E' + r.ep + ' · ' + r.title) +
+                table('Peores hosts', j.hosts, r => r.host);
+        }).catch(e => msg(e.message, true));
+    },
+    'qoe-reset'() {
+        if (!confirm('¿Borrar la telemetría acumulada?')) return;
+        api('DELETE', '/api/admin/telemetry').then(() => { $('qoe').innerHTML = ''; msg('Telemetría reiniciada'); }).catch(e => msg(e.message, true));
+    },
+    'report'() {
+        api('GET', '/api/admin/catalog-report').then(j => {
+            $('report').textContent = JSON.stringify(j, null, 2);
+        }).catch(e => msg(e.message, true));
+    }
+};
+
+$('main').addEventListener('click', e => {
+    const el = e.target.closest('[data-act]');
+    if (el) actions[el.dataset.act](el);
+});
+$('list').addEventListener('click', e => {
+    const el = e.target.closest('[data-name]');
+    if (!el) return;
+    state.selected = el.dataset.name;
+    renderList();
+    renderMain();
+});
+$('new').addEventListener('click', () => { state.selected = ''; renderList(); renderMain(); });
+$('filter').addEventListener('input', renderList);
+$('connect').addEventListener('click', () => {
+    sessionStorage.setItem('adminToken', $('token').value);
+    load();
+});
+if (sessionStorage.getItem('adminToken')) {
+    $('token').value = sessionStorage.getItem('adminToken');
+    load();
+}
+</script>
+</body>
+</html>`;
+
 app.get('/', (req, res) => { res.setHeader('Content-Type', 'text/html'); res.send(HTML); });
+app.get('/admin', (req, res) => { res.setHeader('Content-Type', 'text/html'); res.send(ADMIN_HTML); });
+app.get('/hls.js', (req, res) => res.sendFile(require.resolve('hls.js/dist/hls.min.js'), { maxAge: '7d' }));
 app.get('/health', (req, res) => res.json({ ok: true, series: SERIES_LIST.length }));
+const promLabels = labels => '{' + Object.keys(labels).map(k => k + '="' + String(labels[k]).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n') + '"').join(',') + '}';
+
+function promMetric(lines, name, type, help, samples) {
+    lines.push('# HELP ' + name + ' ' + help, '# TYPE ' + name + ' ' + type);
+    samples.forEach(([labels, value, suffix]) => lines.push(name + (suffix || '') + (labels && Object.keys(labels).length ? promLabels(labels) : '') + ' ' + value));
+}
+
+// Texto de exposición de Prometheus; pide el token de admin (bearer_token en el scrape) porque lista los hosts de origen
+app.get('/metrics', requireAdmin, (req, res) => {
+    const lines = [];
+    const upstreams = [...METRICS.upstream];
+    promMetric(lines, 'streamplus_http_requests_total', 'counter', 'Peticiones HTTP por ruta y código',
+        [...METRICS.requests.values()].map(r => [{ method: r.method, route: r.route, status: r.status }, r.count]));
+    const latency = [];
+    METRICS.latency.forEach(h => {
+        const labels = { method: h.method, route: h.route };
+        LATENCY_BUCKETS.forEach((b, i) => latency.push([Object.assign({}, labels, { le: b }), h.buckets[i], '_bucket']));
+        latency.push([Object.assign({}, labels, { le: '+Inf' }), h.count, '_bucket'], [labels, h.sum.toFixed(6), '_sum'], [labels, h.count, '_count']);
+    });
+    promMetric(lines, 'streamplus_http_request_duration_seconds', 'histogram', 'Duración de las peticiones HTTP por ruta', latency);
+    promMetric(lines, 'streamplus_proxy_active_streams', 'gauge', 'Streams de /video-proxy enviando cuerpo, del origen o de la caché', [[null, METRICS.streams]]);
+    promMetric(lines, 'streamplus_upstream_bytes_total', 'counter', 'Bytes recibidos de cada host de origen',
+        [...METRICS.upstreamBytes].map(([host, n]) => [{ host }, n]));
+    promMetric(lines, 'streamplus_upstream_requests_total', 'counter', 'Peticiones a cada host de origen',
+        upstreams.map(([host, h]) => [{ host }, h.requests]));
+    promMetric(lines, 'streamplus_upstream_errors_total', 'counter', 'Errores (5xx o conexión) por host de origen',
+        upstreams.map(([host, h]) => [{ host }, h.errors]));
+    promMetric(lines, 'streamplus_upstream_timeouts_total', 'counter', 'Timeouts por host de origen',
+        upstreams.map(([host, h]) => [{ host }, h.timeouts]));
+    promMetric(lines, 'streamplus_upstream_down', 'gauge', '1 si el host está en enfriamiento tras fallos seguidos',
+        [...UPSTREAM_HEALTH.keys()].map(host => [{ host }, upstreamDown(host) ? 1 : 0]));
+    promMetric(lines, 'streamplus_rate_limited_total', 'counter', 'Peticiones rechazadas por videoProxyLimiter', [[{ limiter: 'video-proxy' }, METRICS.rateLimited]]);
+    promMetric(lines, 'streamplus_catalog_series', 'gauge', 'Series en el catálogo cargado', [[null, SERIES_LIST.length]]);
+    promMetric(lines, 'streamplus_catalog_episodes', 'gauge', 'Episodios en el catálogo cargado', [[null, TOTAL_EPISODES]]);
+    promMetric(lines, 'streamplus_catalog_version', 'gauge', 'Recargas correctas del catálogo desde el arranque', [[null, CATALOG.version]]);
+    promMetric(lines, 'streamplus_catalog_loaded_timestamp_seconds', 'gauge', 'Última recarga correcta del catálogo',
+        [[null, CATALOG.loadedAt ? Date.parse(CATALOG.loadedAt) / 1000 : 0]]);
+    promMetric(lines, 'streamplus_catalog_reload_errors_total', 'counter', 'Recargas del catálogo fallidas', [[null, METRICS.reloadErrors]]);
+    promMetric(lines, 'streamplus_catalog_error', 'gauge', '1 si la última recarga falló y se sigue sirviendo la anterior', [[null, CATALOG.error ? 1 : 0]]);
+    if (config.CACHE_DIR) promMetric(lines, 'streamplus_cache_bytes', 'gauge', 'Tamaño de la caché de rangos en disco', [[null, CACHE.size]]);
+    promMetric(lines, 'process_resident_memory_bytes', 'gauge', 'Memoria residente del proceso', [[null, process.memoryUsage().rss]]);
+    promMetric(lines, 'process_start_time_seconds', 'gauge', 'Arranque del proceso', [[null, Math.round(Date.now() / 1000 - process.uptime())]]);
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(lines.join('\n') + '\n');
+});
 app.use((req, res) => res.status(404).json({ error: 'Not found' }));
 
-app.listen(PORT, '0.0.0.0', () => {
+if (!SCAN_CLI) app.listen(PORT, '0.0.0.0', () => {
     console.log('Stream+ | Puerto ' + PORT + ' | ' + SERIES_LIST.length + ' series');
+    scheduleLinkCheck();
 });
@@ -0,0 +1,273 @@
+// Pruebas del proxy contra un origen falso local: allowlist, bloqueo de IPs privadas, redirecciones, manifiestos HLS y circuit breaker.
+// Cada servidor se arranca como proceso aparte con su propio catálogo y sus almacenes en una carpeta temporal
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { spawn } = require('child_process');
+const http = require('http');
+const net = require('net');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const ROOT = path.join(__dirname, '..');
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'stream-test-'));
+const servers = [];
+const hits = [];
+let stub, origin;
+
+// Origen falso: registra cada petición para comprobar a qué llega el proxy
+function startStub() {
+    return new Promise(resolve => {
+        stub = http.createServer((req, res) => {
+            hits.push(req.url);
+            const port = stub.address().port;
+            if (req.url === '/master.m3u8') {
+                res.writeHead(200, { 'Content-Type': 'application/vnd.apple.mpegurl' });
+                return res.end([
+                    '#EXTM3U',
+                    '#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="s",URI="subs/es.m3u8"',
+                    '#EXT-X-STREAM-INF:BANDWIDTH=800000',
+                    'low/index.m3u8',
+                    '#EXT-X-STREAM-INF:BANDWIDTH=2000000',
+                    'http://127.0.0.1:' + port + '/seg.ts'
+                ].join('\n'));
+            }
+            if (req.url === '/seg.ts') {
+                res.writeHead(200, { 'Content-Type': 'video/mp2t' });
+                return res.end('segmento');
+            }
+            if (req.url === '/redir') {
+                res.writeHead(302, { Location: '/seg.ts' });
+                return res.end();
+            }
+            if (req.url === '/loop') {
+                res.writeHead(302, { Location: '/loop' });
+                return res.end();
+            }
+            if (req.url === '/xhost') {
+                res.writeHead(302, { Location: 'http://127.0.0.1:' + port + '/seg.ts' });
+                return res.end();
+            }
+            if (req.url === '/down') {
+                // Responde tarde para que la petición de prueba siga en curso mientras llegan otras
+                return setTimeout(() => {
+                    res.writeHead(500);
+                    res.end();
+                }, 200);
+            }
+            res.writeHead(404);
+            res.end();
+        });
+        stub.listen(0, () => {
+            origin = 'http://localhost:' + stub.address().port;
+            resolve();
+        });
+    });
+}
+
+function freePort() {
+    return new Promise(resolve => {
+        const srv = net.createServer().listen(0, '127.0.0.1', () => {
+            const port = srv.address().port;
+            srv.close(() => resolve(port));
+        });
+    });
+}
+
+// Arranca index.js con el catálogo dado y espera a que /health responda
+async function startServer(name, catalog, env) {
+    const dir = path.join(tmp, name);
+    fs.mkdirSync(dir);
+    fs.writeFileSync(path.join(dir, 'data.json'), JSON.stringify(catalog));
+    const port = await freePort();
+    const child = spawn(process.execPath, ['index.js'], {
+        cwd: ROOT,
+        stdio: 'ignore',
+        env: Object.assign({}, process.env, {
+            PORT: String(port),
+            DATA_FILE: path.join(dir, 'data.json'),
+            SOURCES: path.join(dir, 'data.json'),
+            PROGRESS_FILE: path.join(dir, 'progress.json'),
+            PROFILES_FILE: path.join(dir, 'profiles.json'),
+            FAVORITES_FILE: path.join(dir, 'favorites.json'),
+            LINK_HEALTH_FILE: path.join(dir, 'link-health.json'),
+            TELEMETRY_FILE: path.join(dir, 'telemetry.json'),
+            IMG_CACHE_DIR: path.join(dir, 'img-cache'),
+            LINK_CHECK_INTERVAL: '0',
+            PROXY_ALLOWLIST: '',
+            PROXY_ALLOW_PRIVATE: '',
+            ALLOW_RAW_URLS: '',
+            CACHE_DIR: ''
+        }, env)
+    });
+    servers.push(child);
+    const base = 'http://127.0.0.1:' + port;
+    for (let i = 0; i < 100; i++) {
+        try {
+            if ((await fetch(base + '/health')).ok) return base;
+        } catch (e) { /* todavía arrancando */ }
+        await new Promise(r => setTimeout(r, 100));
+    }
+    throw new Error('El servidor ' + name + ' no arrancó');
+}
+
+// URL de /video-proxy que devuelve /api/play para un episodio
+async function playUrl(base, ep) {
+    const d = await (await fetch(base + '/api/play/Stub/1/' + ep)).json();
+    assert.ok(d.url, JSON.stringify(d));
+    return base + d.url;
+}
+
+const episodes = paths => paths.map((p, i) => ({ series: 'Stub', season: 1, ep: i + 1, title: p, url: origin + p }));
+
+let open, locked, breaker, loose;
+
+before(async () => {
+    await startStub();
+    // Con PROXY_ALLOW_PRIVATE el origen local es alcanzable; la allowlist sale de los hosts del catálogo (localhost)
+    open = await startServer('open', episodes(['/master.m3u8', '/loop', '/xhost', '/redir']), {
+        PROXY_ALLOW_PRIVATE: 'true',
+        ALLOW_RAW_URLS: 'true',
+        PROXY_MAX_REDIRECTS: '3'
+    });
+    breaker = await startServer('breaker', episodes(['/down']), {
+        PROXY_ALLOW_PRIVATE: 'true',
+        UPSTREAM_FAIL_THRESHOLD: '1',
+        UPSTREAM_COOLDOWN: '500'
+    });
+    // Catálogo con URLs que pasan por http(s) pero no se pueden analizar
+    loose = await startServer('loose', [{ series: 'Stub', season: 1, ep: 1, title: 'roto', url: origin + '/seg.ts', poster: 'http://', subtitles: [{ url: 'http://', lang: 'es' }], mirrors: ['http://'] }], {});
+    locked = await startServer('locked', episodes(['/seg.ts']).concat({ series: 'Stub', season: 1, ep: 2, title: 'ip', url: origin.replace('localhost', '127.0.0.1') + '/seg.ts' }), {});
+});
+
+// Al recibir SIGTERM cada servidor vuelca sus almacenes en la carpeta temporal: hay que esperar a que termine antes de borrarla
+after(async () => {
+    await Promise.all(servers.map(child => new Promise(resolve => {
+        if (child.exitCode !== null) return resolve();
+        child.once('exit', resolve);
+        child.kill('SIGTERM');
+    })));
+    stub.close();
+    fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test('rechaza URLs directas a hosts fuera de la allowlist', async () => {
+    const res = await fetch(open + '/video-proxy?url=' + encodeURIComponent('http://example.invalid/video.mp4'));
+    assert.equal(res.status, 403);
+    assert.match((await res.json()).error, /Host no permitido: example\.invalid/);
+});
+
+test('exige token si no se permiten URLs directas', async () => {
+    const res = await fetch(locked + '/video-proxy?url=' + encodeURIComponent(origin + '/seg.ts'));
+    assert.equal(res.status, 400);
+});
+
+test('safeLookup bloquea un host que resuelve a una IP privada', async () => {
+    const before = hits.length;
+    const res = await fetch(await playUrl(locked, 1));
+    assert.equal(res.status, 403);
+    assert.match((await res.json()).error, /privada/);
+    assert.equal(hits.length, before, 'el origen no debe recibir la petición');
+});
+
+test('bloquea una IP privada literal sin llegar a resolver', async () => {
+    const res = await fetch(await playUrl(locked, 2));
+    assert.equal(res.status, 403);
+    assert.match((await res.json()).error, /Dirección privada bloqueada/);
+});
+
+test('corta los bucles de redirección en PROXY_MAX_REDIRECTS', async () => {
+    const before = hits.filter(u => u === '/loop').length;
+    const res = await fetch(await playUrl(open, 2));
+    assert.equal(res.status, 502);
+    assert.match((await res.json()).error, /Demasiadas redirecciones/);
+    assert.equal(hits.filter(u => u === '/loop').length - before, 4);
+});
+
+test('sigue redirecciones dentro del mismo host', async () => {
+    const res = await fetch(await playUrl(open, 4));
+    assert.equal(res.status, 200);
+    assert.equal(await res.text(), 'segmento');
+});
+
+test('no sigue redirecciones a hosts fuera de la allowlist', async () => {
+    const before = hits.filter(u => u === '/seg.ts').length;
+    const res = await fetch(await playUrl(open, 3));
+    assert.equal(res.status, 403);
+    assert.match((await res.json()).error, /host no permitido: 127\.0\.0\.1/);
+    assert.equal(hits.filter(u => u === '/seg.ts').length, before, 'el destino de la redirección no debe recibir la petición');
+});
+
+test('reescribe el manifiesto para que todo pase por el proxy', async () => {
+    const res = await fetch(await playUrl(open, 1));
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /mpegurl/);
+    const lines = (await res.text()).split('\n');
+    assert.equal(lines[0], '#EXTM3U');
+    assert.match(lines[1], /^#EXT-X-MEDIA:TYPE=SUBTITLES,GROUP-ID="s",URI="\/video-proxy\?hls=1&t=[\w-]+\.[\w-]+"$/);
+    assert.equal(lines[2], '#EXT-X-STREAM-INF:BANDWIDTH=800000');
+    lines.filter(l => l && !l.startsWith('#')).forEach(l => assert.match(l, /^\/video-proxy\?hls=1&t=[\w-]+\.[\w-]+$/));
+    assert.ok(!lines.join('\n').includes('localhost'), 'no debe quedar ninguna URL de origen');
+
+    // Las URLs relativas se resuelven contra el manifiesto y los hosts que nombra quedan permitidos
+    const segment = await fetch(open + lines[5]);
+    assert.equal(segment.status, 200);
+    assert.equal(await segment.text(), 'segmento');
+});
+
+test('no acepta tokens manipulados', async () => {
+    const url = await playUrl(open, 1);
+    const res = await fetch(url.replace(/t=(\w)/, (m, c) => 't=' + (c === 'a' ? 'b' : 'a')));
+    assert.equal(res.status, 403);
+});
+
+test('tras el enfriamiento deja pasar una sola petición de prueba', async () => {
+    const url = await playUrl(breaker, 1);
+    const downHits = () => hits.filter(u => u === '/down').length;
+    assert.equal((await fetch(url)).status, 500);
+    assert.equal((await fetch(url)).status, 503);
+    assert.equal(downHits(), 1, 'con el circuito abierto no se llama al origen');
+
+    await new Promise(r => setTimeout(r, 600));
+    const statuses = (await Promise.all([1, 2, 3].map(() => fetch(url)))).map(r => r.status).sort();
+    assert.deepEqual(statuses, [500, 503, 503]);
+    assert.equal(downHits(), 2);
+    assert.equal((await fetch(url)).status, 503, 'la prueba fallida vuelve a cerrar el circuito');
+});
+
+test('ignora pósters, espejos y subtítulos con URLs que no se pueden analizar', async () => {
+    const { data } = await (await fetch(loose + '/api/series/Stub')).json();
+    assert.equal(data.count, 1);
+    const play = await (await fetch(loose + '/api/play/Stub/1/1')).json();
+    assert.deepEqual(play.subtitles, []);
+    assert.equal(play.sources.length, 1, 'el espejo inválido se descarta como avisa el validador');
+});
+
+test('los nombres heredados de Object.prototype no son series', async () => {
+    for (const name of ['constructor', '__proto__', 'toString']) {
+        assert.equal((await fetch(loose + '/api/series/' + name)).status, 404);
+        assert.equal((await fetch(loose + '/api/play/' + name + '/1/1')).status, 404);
+    }
+});
+
+test('no guarda como favorita una serie que no existe', async () => {
+    for (const name of ['constructor', '__proto__', 'Nada']) {
+        assert.equal((await fetch(loose + '/api/favorites/' + name, { method: 'POST' })).status, 404);
+    }
+    const res = await fetch(loose + '/api/favorites/Stub', { method: 'POST' });
+    assert.deepEqual(await res.json(), { ok: true, favorite: true });
+});
+
+test('un perfil infantil solo ve series infantiles y no puede crear otros perfiles', async () => {
+    const first = await fetch(loose + '/api/profiles', { method: 'POST', headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ name: 'Peque', kids: true }) });
+    assert.equal(first.status, 201);
+    const cookie = first.headers.get('set-cookie').split(';')[0];
+    const create = headers => fetch(loose + '/api/profiles', { method: 'POST', headers: Object.assign({ 'Content-Type': 'application/json' }, headers), body: JSON.stringify({ name: 'Otro' }) });
+    assert.equal((await create({})).status, 403, 'sin sesión ya no se crean perfiles');
+    assert.equal((await create({ cookie })).status, 403);
+
+    assert.equal((await (await fetch(loose + '/api/series', { headers: { cookie } })).json()).total, 0);
+    assert.equal((await fetch(loose + '/api/series/Stub', { headers: { cookie } })).status, 404);
+    assert.equal((await fetch(loose + '/api/play/Stub/1/1', { headers: { cookie } })).status, 404);
+    assert.equal((await (await fetch(loose + '/api/series')).json()).total, 1);
+});